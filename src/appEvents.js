@@ -0,0 +1,88 @@
+/**
+ * App event bus
+ *
+ * Views and modules announce what happened with `appEvents.emit(type, detail)` and don't
+ * know who listens. Sinks (sound, haptics, HUD toasts, the debug log; see eventSinks.js)
+ * subscribe with `on(filter, fn)`. A new event only needs a line in `AppEventMap` and,
+ * for feedback, an entry in the sink tables (soundManifest.json, HAPTICS_BY_EVENT, ...).
+ *
+ * @typedef {{
+ *  'ui:prev': void,
+ *  'ui:next': void,
+ *  'ui:toggleHud': { hidden: boolean },
+ *  'view:change': { id: string, name: string },
+ *  'motion:enabled': void,
+ *  'motion:recentered': void,
+ *  'quality:changed': { tier: string, reason: 'slow' | 'headroom' | 'manual' },
+ *  'sun:inView': { view: string },
+ *  'pulsar:tick': void,
+ *  'model:loaded': { url: string },
+ *  'model:error': { url: string, message: string },
+ * }} AppEventMap
+ *
+ * @typedef {keyof AppEventMap} AppEventType
+ *
+ * @typedef {{ type: string, detail: any, time: number }} AppEvent
+ *   time: `performance.now()` at emit
+ *
+ * @typedef {string | string[] | ((event: AppEvent) => boolean)} EventFilter
+ *   Names match exactly; a trailing `*` matches a prefix ('ui:*', or '*' for everything).
+ */
+
+/**
+ * @param {EventFilter} filter
+ * @returns {(event: AppEvent) => boolean}
+ */
+export function compileEventFilter(filter) {
+  if (typeof filter === 'function') return filter;
+  const patterns = Array.isArray(filter) ? filter : [filter];
+  const exact = new Set(patterns.filter((p) => !p.endsWith('*')));
+  const prefixes = patterns.filter((p) => p.endsWith('*')).map((p) => p.slice(0, -1));
+  return (event) => exact.has(event.type) || prefixes.some((p) => event.type.startsWith(p));
+}
+
+export function createEventBus() {
+  /** @type {{ match: (event: AppEvent) => boolean, fn: (event: AppEvent) => void }[]} */
+  let subscribers = [];
+
+  /**
+   * @template {AppEventType} K
+   * @param {K} type
+   * @param {AppEventMap[K]} [detail]
+   */
+  function emit(type, detail) {
+    /** @type {AppEvent} */
+    const event = { type, detail, time: performance.now() };
+    // Snapshot: a sink may subscribe/unsubscribe (or emit) while handling.
+    for (const s of subscribers.slice()) {
+      if (!s.match(event)) continue;
+      try {
+        s.fn(event);
+      } catch (err) {
+        // One broken sink must not silence the others (or the emitter); the page error
+        // handler still sees it.
+        setTimeout(() => {
+          throw err;
+        });
+      }
+    }
+  }
+
+  /**
+   * @param {EventFilter} filter
+   * @param {(event: AppEvent) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  function on(filter, fn) {
+    const s = { match: compileEventFilter(filter), fn };
+    subscribers.push(s);
+    return () => {
+      subscribers = subscribers.filter((x) => x !== s);
+    };
+  }
+
+  return { emit, on };
+}
+
+/** The app-wide bus. */
+export const appEvents = createEventBus();
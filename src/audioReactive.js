@@ -0,0 +1,165 @@
+/**
+ * Audio-reactive visuals
+ * - `createMusicAnalyser(node)`: FFT bands and a beat/onset signal from an AnalyserNode
+ *   (the sound controller taps its music bus with one; see `sounds.analyseMusic(dt)`)
+ * - `createAudioReactiveOptions()`: the per-view "React to music" toggle and sensitivity,
+ *   as settings-panel options, and the scaled signal the view binds to its parameters
+ *
+ * @typedef {{
+ *  level: number,
+ *  bass: number,
+ *  mid: number,
+ *  treble: number,
+ *  beat: number,
+ *  onset: boolean,
+ * }} AudioFeatures
+ *   level / bass / mid / treble: band energy (0..1; up to 2 after sensitivity scaling)
+ *   beat: 1 on an onset, decaying back to 0 over a few hundred ms
+ *   onset: true on the frame a beat was detected
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/** Band edges in Hz. */
+const BANDS = { bass: [20, 250], mid: [250, 2000], treble: [2000, 8000] };
+
+// Onset: bass energy jumps above its recent average.
+const ONSET_RATIO = 1.3;
+const ONSET_FLOOR = 0.12;
+const ONSET_MIN_GAP_S = 0.25;
+const AVERAGE_TAU_S = 0.8;
+const BEAT_DECAY = 6; // 1/s
+
+/** @returns {AudioFeatures} */
+export function silentFeatures() {
+  return { level: 0, bass: 0, mid: 0, treble: 0, beat: 0, onset: false };
+}
+
+/**
+ * @param {AnalyserNode} node
+ */
+export function createMusicAnalyser(node) {
+  const bins = new Uint8Array(node.frequencyBinCount);
+  const hzPerBin = node.context.sampleRate / node.fftSize;
+  const features = silentFeatures();
+  let bassAverage = 0;
+  let sinceOnset = Infinity;
+
+  /**
+   * Mean bin energy between two frequencies (0..1).
+   * @param {number} loHz
+   * @param {number} hiHz
+   */
+  function band(loHz, hiHz) {
+    const lo = clamp(Math.floor(loHz / hzPerBin), 0, bins.length - 1);
+    const hi = clamp(Math.ceil(hiHz / hzPerBin), lo + 1, bins.length);
+    let sum = 0;
+    for (let i = lo; i < hi; i++) sum += bins[i];
+    return sum / ((hi - lo) * 255);
+  }
+
+  /**
+   * Sample the analyser. Call once per frame.
+   * @param {number} dt - seconds since the last read
+   * @returns {AudioFeatures} reused object
+   */
+  function read(dt) {
+    node.getByteFrequencyData(bins);
+    features.bass = band(BANDS.bass[0], BANDS.bass[1]);
+    features.mid = band(BANDS.mid[0], BANDS.mid[1]);
+    features.treble = band(BANDS.treble[0], BANDS.treble[1]);
+    features.level = band(BANDS.bass[0], BANDS.treble[1]);
+
+    sinceOnset += dt;
+    features.onset =
+      sinceOnset >= ONSET_MIN_GAP_S && features.bass > ONSET_FLOOR && features.bass > bassAverage * ONSET_RATIO;
+    if (features.onset) {
+      sinceOnset = 0;
+      features.beat = 1;
+    } else {
+      features.beat *= Math.exp(-BEAT_DECAY * dt);
+    }
+    bassAverage += (features.bass - bassAverage) * (1 - Math.exp(-dt / AVERAGE_TAU_S));
+    return features;
+  }
+
+  return { read };
+}
+
+/**
+ * Per-view toggle + sensitivity. Merge `getOptions()` into the view's options, let
+ * `setOption()` try first, and bind `apply(features)`'s result to view parameters.
+ *
+ * @param {{ enabled?: boolean, sensitivity?: number }} [defaults]
+ */
+export function createAudioReactiveOptions(defaults = {}) {
+  const optionDefaults = { audioReactive: defaults.enabled ?? true, audioSensitivity: defaults.sensitivity ?? 1 };
+  const options = { ...optionDefaults };
+  const scaled = silentFeatures();
+
+  /** @returns {import('./settings.js').ViewOption[]} */
+  function getOptions() {
+    return [
+      {
+        key: 'audioReactive',
+        label: 'React to music',
+        type: 'toggle',
+        default: optionDefaults.audioReactive,
+        value: options.audioReactive,
+      },
+      {
+        key: 'audioSensitivity',
+        label: 'Music sensitivity',
+        type: 'range',
+        min: 0,
+        max: 3,
+        step: 0.05,
+        default: optionDefaults.audioSensitivity,
+        value: options.audioSensitivity,
+      },
+    ];
+  }
+
+  /**
+   * @param {string} key
+   * @param {unknown} value
+   * @returns {boolean} whether the key was one of these options
+   */
+  function setOption(key, value) {
+    if (key === 'audioReactive') {
+      options.audioReactive = !!value;
+      return true;
+    }
+    if (key === 'audioSensitivity') {
+      if (Number.isFinite(Number(value))) options.audioSensitivity = clamp(Number(value), 0, 3);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * The signal scaled by sensitivity; all zero while the toggle is off.
+   * @param {AudioFeatures} f
+   * @returns {AudioFeatures} reused object
+   */
+  function apply(f) {
+    const k = options.audioReactive ? options.audioSensitivity : 0;
+    scaled.level = clamp(f.level * k, 0, 2);
+    scaled.bass = clamp(f.bass * k, 0, 2);
+    scaled.mid = clamp(f.mid * k, 0, 2);
+    scaled.treble = clamp(f.treble * k, 0, 2);
+    scaled.beat = clamp(f.beat * k, 0, 2);
+    scaled.onset = k > 0 && f.onset;
+    return scaled;
+  }
+
+  return {
+    getOptions,
+    setOption,
+    apply,
+    /** Last `apply()` result. */
+    get features() {
+      return scaled;
+    },
+  };
+}
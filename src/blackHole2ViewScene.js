@@ -1,3 +1,5 @@
+import { createAudioReactiveOptions } from './audioReactive.js';
+
 /**
  * Black Hole 2 (standalone WebGL fullscreen pass)
  *
@@ -19,6 +21,28 @@ export function createBlackHole2ViewScene(renderer) {
     swirlStrength: 0.9,
     timeScale: 1.0,
   };
+  const defaults = { ...params };
+
+  // Settings panel controls (see settings.js ViewOption)
+  const OPTION_DEFS = [
+    { key: 'RsPx', label: 'Horizon radius (px)', type: 'range', min: 40, max: 300, step: 1 },
+    { key: 'lensStrength', label: 'Lensing', type: 'range', min: 0, max: 2, step: 0.01 },
+    { key: 'ringIntensity', label: 'Photon ring', type: 'range', min: 0, max: 3, step: 0.01 },
+    { key: 'swirlStrength', label: 'Swirl', type: 'range', min: 0, max: 3, step: 0.01 },
+    { key: 'timeScale', label: 'Speed', type: 'range', min: 0, max: 3, step: 0.01 },
+  ];
+
+  // Music: beats flare the photon ring, the mids stir the swirl.
+  const audio = createAudioReactiveOptions();
+
+  // Short URL keys for deep links (`#/black-hole-2?rs=140`)
+  const URL_KEYS = {
+    rs: 'RsPx',
+    lens: 'lensStrength',
+    ring: 'ringIntensity',
+    swirl: 'swirlStrength',
+    speed: 'timeScale',
+  };
 
   /** @type {WebGLRenderingContext|WebGL2RenderingContext} */
   const gl = renderer.getContext();
@@ -39,6 +63,7 @@ export function createBlackHole2ViewScene(renderer) {
 
     uniform float u_time;
     uniform vec2 u_resolution;
+    uniform float u_centerOffset;  // pixels, stereo eye shift
     uniform float u_rs;            // pixels
     uniform float u_lensStrength;
     uniform float u_ringIntensity;
@@ -120,7 +145,7 @@ export function createBlackHole2ViewScene(renderer) {
       float t = u_time * max(0.0, u_timeScale);
 
       vec2 frag = gl_FragCoord.xy;
-      vec2 center = 0.5 * u_resolution;
+      vec2 center = 0.5 * u_resolution + vec2(u_centerOffset, 0.0);
       vec2 p = (frag - center) / max(1.0, u_resolution.y);
       float r = length(p);
 
@@ -202,6 +227,7 @@ export function createBlackHole2ViewScene(renderer) {
 
     uniform float u_time;
     uniform vec2 u_resolution;
+    uniform float u_centerOffset;
     uniform float u_rs;
     uniform float u_lensStrength;
     uniform float u_ringIntensity;
@@ -284,7 +310,7 @@ export function createBlackHole2ViewScene(renderer) {
       float t = u_time * max(0.0, u_timeScale);
 
       vec2 frag = gl_FragCoord.xy;
-      vec2 center = 0.5 * u_resolution;
+      vec2 center = 0.5 * u_resolution + vec2(u_centerOffset, 0.0);
       vec2 p = (frag - center) / max(1.0, u_resolution.y);
       float r = length(p);
 
@@ -359,7 +385,8 @@ export function createBlackHole2ViewScene(renderer) {
     if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
       const log = gl.getShaderInfoLog(sh) || 'Unknown shader compile error';
       gl.deleteShader(sh);
-      throw new Error(log);
+      // First line is the summary, the rest is the driver log (shown on the error card).
+      throw new Error(`${type === gl.VERTEX_SHADER ? 'Vertex' : 'Fragment'} shader failed to compile\n${log}`);
     }
     return sh;
   }
@@ -380,7 +407,7 @@ export function createBlackHole2ViewScene(renderer) {
     if (!gl.getProgramParameter(prg, gl.LINK_STATUS)) {
       const log = gl.getProgramInfoLog(prg) || 'Unknown program link error';
       gl.deleteProgram(prg);
-      throw new Error(log);
+      throw new Error(`Shader program failed to link\n${log}`);
     }
     return prg;
   }
@@ -402,6 +429,7 @@ export function createBlackHole2ViewScene(renderer) {
   const uTime = gl.getUniformLocation(program, 'u_time');
   const uRes = gl.getUniformLocation(program, 'u_resolution');
   const uRs = gl.getUniformLocation(program, 'u_rs');
+  const uCenterOffset = gl.getUniformLocation(program, 'u_centerOffset');
   const uLens = gl.getUniformLocation(program, 'u_lensStrength');
   const uRing = gl.getUniformLocation(program, 'u_ringIntensity');
   const uSwirl = gl.getUniformLocation(program, 'u_swirlStrength');
@@ -419,13 +447,103 @@ export function createBlackHole2ViewScene(renderer) {
     /** @type {WebGL2RenderingContext} */ (gl).bindVertexArray(null);
   }
 
+  // Low-resolution pass (quality tiers): draw the shader into a smaller texture,
+  // then stretch it over the viewport with a trivial blit program.
+  const BLIT_VERT_100 = `
+    attribute vec2 a_pos;
+    varying vec2 v_uv;
+    void main() {
+      v_uv = a_pos * 0.5 + 0.5;
+      gl_Position = vec4(a_pos, 0.0, 1.0);
+    }
+  `;
+  const BLIT_FRAG_100 = `
+    precision mediump float;
+    uniform sampler2D u_tex;
+    varying vec2 v_uv;
+    void main() {
+      gl_FragColor = texture2D(u_tex, v_uv);
+    }
+  `;
+  const BLIT_VERT_300 = `#version 300 es
+    layout(location = 0) in vec2 a_pos;
+    out vec2 v_uv;
+    void main() {
+      v_uv = a_pos * 0.5 + 0.5;
+      gl_Position = vec4(a_pos, 0.0, 1.0);
+    }
+  `;
+  const BLIT_FRAG_300 = `#version 300 es
+    precision mediump float;
+    uniform sampler2D u_tex;
+    in vec2 v_uv;
+    out vec4 outColor;
+    void main() {
+      outColor = texture(u_tex, v_uv);
+    }
+  `;
+
+  let renderScale = 1;
+  /** @type {WebGLProgram|null} */
+  let blitProgram = null;
+  /** @type {WebGLUniformLocation|null} */
+  let uBlitTex = null;
+  /** @type {{ fb: WebGLFramebuffer, tex: WebGLTexture, w: number, h: number } | null} */
+  let lowRes = null;
+
+  /**
+   * (Re)allocate the low-resolution color buffer if its size changed.
+   * @param {number} w
+   * @param {number} h
+   */
+  function ensureLowRes(w, h) {
+    if (!blitProgram) {
+      blitProgram = createProgram(isWebGL2 ? BLIT_VERT_300 : BLIT_VERT_100, isWebGL2 ? BLIT_FRAG_300 : BLIT_FRAG_100);
+      uBlitTex = gl.getUniformLocation(blitProgram, 'u_tex');
+    }
+    if (lowRes && lowRes.w === w && lowRes.h === h) return lowRes;
+
+    if (!lowRes) {
+      lowRes = {
+        fb: /** @type {WebGLFramebuffer} */ (gl.createFramebuffer()),
+        tex: /** @type {WebGLTexture} */ (gl.createTexture()),
+        w,
+        h,
+      };
+    }
+    lowRes.w = w;
+    lowRes.h = h;
+
+    gl.bindTexture(gl.TEXTURE_2D, lowRes.tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    // NPOT-safe sampling for WebGL1.
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, lowRes.fb);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, lowRes.tex, 0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return lowRes;
+  }
+
+  function releaseLowRes() {
+    if (lowRes) {
+      gl.deleteFramebuffer(lowRes.fb);
+      gl.deleteTexture(lowRes.tex);
+      lowRes = null;
+    }
+  }
+
   // This view does not use a three scene/camera
   const scene = null;
   const camera = null;
 
-  function resize(w, h, dpr) {
-    // Keep consistent with other views
-    const pr = clamp(dpr, 1, 2);
+  function resize(w, h, dpr, layout = {}) {
+    // Nothing to lay out: the draw reads its size from the target.
+    if (layout.offscreen) return;
+    // Keep consistent with other views (lower bound < 1 so the low quality tier can go below native)
+    const pr = clamp(dpr, 0.5, 2);
     renderer.setPixelRatio(pr);
     renderer.setSize(w, h, false);
 
@@ -438,9 +556,28 @@ export function createBlackHole2ViewScene(renderer) {
     // No CPU-side simulation required
   }
 
-  function render(tMs) {
+  /**
+   * @param {number} tMs
+   * @param {any} [target] - THREE.WebGLRenderTarget to draw into (null = canvas)
+   * @param {import('./stereo.js').StereoEye} [eye] - stereo: shift the center under this eye's lens
+   */
+  function render(tMs, target = null, eye = undefined) {
     // Tell Three to forget cached GL state (raw GL draw will touch state)
     renderer.resetState();
+    // Let Three bind the target's framebuffer; the raw draw below lands in it.
+    if (target) renderer.setRenderTarget(target);
+
+    // Resolution from actual drawing buffer (retina-safe)
+    const c = renderer.domElement;
+    const outW = Math.max(1, target ? target.width : c.width);
+    const outH = Math.max(1, target ? target.height : c.height);
+
+    // Whatever framebuffer Three bound (canvas or target) is the final destination.
+    const outFb = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    const low = renderScale < 1;
+    const w = low ? Math.max(1, Math.round(outW * renderScale)) : outW;
+    const h = low ? Math.max(1, Math.round(outH * renderScale)) : outH;
+    if (low) gl.bindFramebuffer(gl.FRAMEBUFFER, ensureLowRes(w, h).fb);
 
     gl.useProgram(program);
 
@@ -453,20 +590,18 @@ export function createBlackHole2ViewScene(renderer) {
       gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 0, 0);
     }
 
-    // Resolution from actual drawing buffer (retina-safe)
-    const c = renderer.domElement;
-    const w = Math.max(1, c.width);
-    const h = Math.max(1, c.height);
-
     gl.viewport(0, 0, w, h);
 
     // Set uniforms
     gl.uniform1f(uTime, tMs * 0.001);
     gl.uniform2f(uRes, w, h);
-    gl.uniform1f(uRs, params.RsPx);
+    // RsPx is in output pixels; keep the apparent size when drawing smaller.
+    gl.uniform1f(uRs, params.RsPx * (w / outW));
+    gl.uniform1f(uCenterOffset, (eye?.centerOffset ?? 0) * (w / outW));
     gl.uniform1f(uLens, params.lensStrength);
-    gl.uniform1f(uRing, params.ringIntensity);
-    gl.uniform1f(uSwirl, params.swirlStrength);
+    const a = audio.features;
+    gl.uniform1f(uRing, params.ringIntensity * (1 + 0.9 * a.beat + 0.3 * a.bass));
+    gl.uniform1f(uSwirl, params.swirlStrength * (1 + 0.6 * a.mid));
     gl.uniform1f(uTimeScale, params.timeScale);
 
     // Draw
@@ -474,10 +609,89 @@ export function createBlackHole2ViewScene(renderer) {
     gl.disable(gl.BLEND);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 
+    if (low && lowRes && blitProgram) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, outFb);
+      gl.viewport(0, 0, outW, outH);
+      gl.useProgram(blitProgram);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, lowRes.tex);
+      gl.uniform1i(uBlitTex, 0);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
     // Unbind to reduce state bleed
     if (isWebGL2 && vao) {
       /** @type {WebGL2RenderingContext} */ (gl).bindVertexArray(null);
     }
+    if (target) {
+      renderer.resetState();
+      renderer.setRenderTarget(null);
+    }
+  }
+
+  /**
+   * Free the raw GL objects; the view must not be rendered afterwards.
+   */
+  function dispose() {
+    if (isWebGL2 && vao) {
+      /** @type {WebGL2RenderingContext} */ (gl).deleteVertexArray(vao);
+      vao = null;
+    }
+    gl.deleteBuffer(buf);
+    gl.deleteProgram(program);
+    releaseLowRes();
+    if (blitProgram) gl.deleteProgram(blitProgram);
+    blitProgram = null;
+  }
+
+  /**
+   * Quality tier hook: render the shader at a fraction of the output resolution.
+   * @param {{ blackHole2Scale: number }} tier
+   */
+  function setQuality(tier) {
+    renderScale = clamp(tier.blackHole2Scale, 0.25, 1);
+    // Free the buffer when going back to full resolution.
+    if (renderScale >= 1) releaseLowRes();
+  }
+
+  function getOptions() {
+    return [
+      ...OPTION_DEFS.map((o) => ({ ...o, default: defaults[o.key], value: params[o.key] })),
+      ...audio.getOptions(),
+    ];
+  }
+
+  /**
+   * @param {string} key
+   * @param {number | boolean} value
+   */
+  function setOption(key, value) {
+    if (audio.setOption(key, value)) return;
+    if (!(key in params) || !Number.isFinite(Number(value))) return;
+    params[key] = Number(value);
+  }
+
+  /**
+   * Serializable state for deep links; only params that differ from the defaults.
+   */
+  function getUrlState() {
+    /** @type {Record<string, number>} */
+    const out = {};
+    for (const [key, name] of Object.entries(URL_KEYS)) {
+      if (params[name] !== defaults[name]) out[key] = Number(params[name].toFixed(3));
+    }
+    return out;
+  }
+
+  /**
+   * @param {Record<string, string>} state
+   */
+  function applyUrlState(state) {
+    for (const [key, name] of Object.entries(URL_KEYS)) {
+      const v = Number(state[key]);
+      params[name] = key in state && Number.isFinite(v) ? v : defaults[name];
+    }
   }
 
   return {
@@ -487,6 +701,18 @@ export function createBlackHole2ViewScene(renderer) {
     update,
     resize,
     render,
+    dispose,
+    // Entry effect for view transitions.
+    transitionIn: 'radial',
+    music: { url: '/sounds/Black_Hole_BG.wav', gain: 0.6 },
+    setAudioFeatures: audio.apply,
+    // No camera: the hole sits straight ahead of the listener.
+    audioAnchors: [{ screen: { x: 0, y: 0, distance: 2 }, sound: { drone: 'blackHole:hum', gain: 0.6, refDistance: 2 } }],
+    getUrlState,
+    applyUrlState,
+    getOptions,
+    setOption,
+    setQuality,
 
     // Expose params for quick tweaking in devtools if needed
     params,
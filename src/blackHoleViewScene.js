@@ -1,6 +1,10 @@
 import * as THREE from 'three';
 import { createConstellationLayer } from './constellations.js';
 import { createSunRig } from './sun.js';
+import { disposeObject3D } from './dispose.js';
+import { random } from './random.js';
+import { createAudioReactiveOptions } from './audioReactive.js';
+import { appEvents } from './appEvents.js';
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
@@ -9,6 +13,7 @@ const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
  * - Renders a basic starfield "world" scene
  * - Captures it into a render target
  * - Draws a fullscreen quad with a procedural black-hole shader pass
+ * - Emits 'sun:inView' (while active)
  *
  * @param {import('three').WebGLRenderer} renderer
  */
@@ -30,9 +35,9 @@ export function createBlackHoleViewScene(renderer) {
 
   const positions = new Float32Array(STAR_COUNT * 3);
   for (let i = 0; i < STAR_COUNT; i++) {
-    const x = (Math.random() * 2 - 1) * FIELD_RADIUS;
-    const y = (Math.random() * 2 - 1) * FIELD_RADIUS;
-    const z = -Math.random() * FIELD_DEPTH;
+    const x = (random() * 2 - 1) * FIELD_RADIUS;
+    const y = (random() * 2 - 1) * FIELD_RADIUS;
+    const z = -random() * FIELD_DEPTH;
     const idx = i * 3;
     positions[idx + 0] = x;
     positions[idx + 1] = y;
@@ -55,6 +60,9 @@ export function createBlackHoleViewScene(renderer) {
   const stars = new THREE.Points(geo, mat);
   scene.add(stars);
 
+  // Quality tiers draw (and animate) only the first N stars.
+  let activeStars = STAR_COUNT;
+
   // Brighter constellation layer (real-ish sky placement via RA/Dec).
   const constellations = createConstellationLayer({
     radius: 220,
@@ -70,6 +78,9 @@ export function createBlackHoleViewScene(renderer) {
     // Off-axis so it’s not sitting on the black-hole center; rotate to find it.
     position: new THREE.Vector3(235, 75, -90),
     radius: 7,
+    onEnterView: () => {
+      if (active) appEvents.emit('sun:inView', { view: 'black-hole' });
+    },
   });
   scene.add(sun.object);
 
@@ -85,6 +96,7 @@ export function createBlackHoleViewScene(renderer) {
   // 2. Create a fullscreen quad scene
   const postScene = new THREE.Scene();
   const postCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const drawingBufferSize = new THREE.Vector2();
 
   // 3. Add Black Hole shader material (inserted exactly)
   const blackHoleMaterial = new THREE.ShaderMaterial({
@@ -92,6 +104,8 @@ export function createBlackHoleViewScene(renderer) {
       tBackground: { value: renderTarget.texture },
       iResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
       iTime: { value: 0 },
+      // Stereo: per-eye shift of the hole center (pixels, see stereo.js).
+      centerOffset: { value: 0 },
 
       Rs: { value: 0.08 }, // event horizon radius
       Rin: { value: 0.10 }, // disk inner radius
@@ -111,6 +125,7 @@ export function createBlackHoleViewScene(renderer) {
     uniform sampler2D tBackground;
     uniform vec2 iResolution;
     uniform float iTime;
+    uniform float centerOffset;
     uniform float Rs;
     uniform float Rin;
     uniform float Rout;
@@ -129,7 +144,7 @@ export function createBlackHoleViewScene(renderer) {
 
     void main(){
       vec2 uv = gl_FragCoord.xy / iResolution.xy;
-      vec2 p = (gl_FragCoord.xy - 0.5 * iResolution.xy) / iResolution.y;
+      vec2 p = (gl_FragCoord.xy - 0.5 * iResolution.xy - vec2(centerOffset, 0.0)) / iResolution.y;
 
       float r = length(p);
       float phi = atan(p.y, p.x);
@@ -169,52 +184,144 @@ export function createBlackHoleViewScene(renderer) {
   const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), blackHoleMaterial);
   postScene.add(quad);
 
+  // ----------------------------
+  // Options (settings panel)
+  // ----------------------------
+  const options = { timeScale: 1.0, horizon: 0.08 };
+  const optionDefaults = { ...options };
+  const OPTION_DEFS = [
+    { key: 'timeScale', label: 'Disk speed', type: 'range', min: 0, max: 3, step: 0.01 },
+    { key: 'horizon', label: 'Horizon radius', type: 'range', min: 0.03, max: 0.2, step: 0.005 },
+  ];
+
+  // Music: bass speeds up the disk, beats flash the constellations, the sun swells with the bass.
+  const audio = createAudioReactiveOptions();
+
+  function getOptions() {
+    return [
+      ...OPTION_DEFS.map((o) => ({ ...o, default: optionDefaults[o.key], value: options[o.key] })),
+      ...audio.getOptions(),
+    ];
+  }
+
+  /**
+   * @param {string} key
+   * @param {number | boolean} value
+   */
+  function setOption(key, value) {
+    if (audio.setOption(key, value)) return;
+    if (!(key in options) || !Number.isFinite(Number(value))) return;
+    options[key] = Number(value);
+    blackHoleMaterial.uniforms.Rs.value = options.horizon;
+  }
+
   // ----------------------------
   // API
   // ----------------------------
+  // Disk animation time; accumulated so speed changes don't jump.
+  let diskTime = 0;
+
   function update(dt) {
+    const a = audio.features;
+    diskTime += dt * options.timeScale * (1 + 1.2 * a.bass + 0.6 * a.beat);
+    constellations.userData.setPulse(a.beat);
     constellations.userData?.update?.(dt);
+    sun.setPulse(a.bass);
     sun.update(dt, camera);
 
     const pos = geo.attributes.position.array;
-    for (let i = 0; i < STAR_COUNT; i++) {
+    for (let i = 0; i < activeStars; i++) {
       const idx = i * 3 + 2;
       pos[idx] += STAR_SPEED * dt;
       if (pos[idx] > 0.5) {
         pos[idx] = -FIELD_DEPTH;
         const j = i * 3;
-        pos[j + 0] = (Math.random() * 2 - 1) * FIELD_RADIUS;
-        pos[j + 1] = (Math.random() * 2 - 1) * FIELD_RADIUS;
+        pos[j + 0] = (random() * 2 - 1) * FIELD_RADIUS;
+        pos[j + 1] = (random() * 2 - 1) * FIELD_RADIUS;
       }
     }
     geo.attributes.position.needsUpdate = true;
   }
 
-  function resize(w, h, dpr) {
+  // Background capture resolution relative to the viewport (quality tier).
+  let targetScale = 1;
+  let viewW = window.innerWidth;
+  let viewH = window.innerHeight;
+
+  function resizeRenderTarget() {
+    renderTarget.setSize(Math.max(1, Math.round(viewW * targetScale)), Math.max(1, Math.round(viewH * targetScale)));
+  }
+
+  function resize(w, h, dpr, layout = {}) {
     camera.aspect = w / h;
     camera.updateProjectionMatrix();
+    viewW = w;
+    viewH = h;
 
-    renderer.setPixelRatio(clamp(dpr, 1, 2));
-    renderer.setSize(w, h, false);
+    if (!layout.offscreen) {
+      // Lower bound < 1 so the low quality tier can render below native resolution.
+      renderer.setPixelRatio(clamp(dpr, 0.5, 2));
+      renderer.setSize(w, h, false);
+    }
 
-    renderTarget.setSize(w, h);
-    blackHoleMaterial.uniforms.iResolution.value.set(w, h);
+    resizeRenderTarget();
   }
 
   /**
    * Final render order (as specified):
    * - render world into renderTarget
-   * - render fullscreen post scene
+   * - render fullscreen post scene into `target` (null = canvas)
    * @param {number} tMs
+   * @param {THREE.WebGLRenderTarget | null} [target]
+   * @param {import('./stereo.js').StereoEye} [eye] - stereo: eye camera for the world, shifted hole
    */
-  function render(tMs) {
-    blackHoleMaterial.uniforms.iTime.value = tMs * 0.001;
+  function render(tMs, target = null, eye = undefined) {
+    blackHoleMaterial.uniforms.iTime.value = diskTime;
+    blackHoleMaterial.uniforms.centerOffset.value = eye?.centerOffset ?? 0;
+
+    // gl_FragCoord is in device pixels of whatever we draw into.
+    if (target) drawingBufferSize.set(target.width, target.height);
+    else renderer.getDrawingBufferSize(drawingBufferSize);
+    blackHoleMaterial.uniforms.iResolution.value.copy(drawingBufferSize);
 
     renderer.setRenderTarget(renderTarget);
-    renderer.render(scene, camera);
+    renderer.render(scene, eye?.camera ?? camera);
 
-    renderer.setRenderTarget(null);
+    renderer.setRenderTarget(target);
     renderer.render(postScene, postCamera);
+    if (target) renderer.setRenderTarget(null);
+  }
+
+  /**
+   * @param {import('./quality.js').QualityTier} tier
+   */
+  function setQuality(tier) {
+    activeStars = Math.max(1, Math.round(STAR_COUNT * tier.starFraction));
+    geo.setDrawRange(0, activeStars);
+    targetScale = tier.blackHoleTargetScale;
+    resizeRenderTarget();
+  }
+
+  let active = false;
+  /**
+   * @param {boolean} isActive
+   */
+  function setActive(isActive) {
+    active = isActive;
+  }
+
+  function dispose() {
+    disposeObject3D(scene);
+    disposeObject3D(postScene);
+    renderTarget.dispose();
+  }
+
+  /**
+   * Real-sky alignment (main.js): equatorial -> world rotation, null = default orientation.
+   * @param {THREE.Quaternion | null} q
+   */
+  function setSkyOrientation(q) {
+    constellations.userData.setSkyOrientation(q);
   }
 
   return {
@@ -224,6 +331,22 @@ export function createBlackHoleViewScene(renderer) {
     update,
     resize,
     render,
+    setActive,
+    dispose,
+    getOptions,
+    setOption,
+    setQuality,
+    setSkyOrientation,
+    setAudioFeatures: audio.apply,
+    // Entry effect for view transitions.
+    transitionIn: 'radial',
+    // Same track as the other space views, so it carries on across them instead of crossfading.
+    music: { url: '/sounds/Black_Hole_BG.wav', gain: 0.6 },
+    // The sun hums where it sits; the disk rumbles from screen center (the hole never moves on screen).
+    audioAnchors: [
+      { object: sun.object, focus: 0.75, sound: { drone: 'sun:hum', gain: 0.5, refDistance: 250 } },
+      { screen: { x: 0, y: 0, distance: 2 }, sound: { drone: 'blackHole:hum', gain: 0.6, refDistance: 2 } },
+    ],
   };
 }
 
@@ -0,0 +1,164 @@
+import { createDisplayRenderTarget, renderView } from './renderer.js';
+
+/**
+ * Capture
+ * - Stills: render a view offscreen at any resolution and encode a PNG.
+ *   Reading back from our own target means we don't need `preserveDrawingBuffer`
+ *   (which costs performance every frame), and raw-GL views work too.
+ * - Clips: record the canvas with MediaRecorder. Only the canvas is captured,
+ *   so the HUD (plain DOM on top) never appears in the video.
+ */
+
+/** Preset still sizes; 'screen' = current viewport in device pixels. */
+export const CAPTURE_SIZES = {
+  screen: null,
+  '1080p': [1920, 1080],
+  '1440p': [2560, 1440],
+  '4k': [3840, 2160],
+};
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * @param {any} renderer - THREE.WebGLRenderer
+ * @param {{
+ *  scene: any,
+ *  camera: any,
+ *  resize: (w: number, h: number, dpr: number, layout?: { offscreen?: boolean }) => void,
+ *  render?: (tMs: number, target?: any) => void,
+ * }} view
+ * @param {{ width: number, height: number, tMs: number, restore: () => void }} opts
+ *   `restore` puts the view back at its on-screen layout, again without resizing the canvas.
+ * @returns {Promise<Blob>}
+ */
+export async function captureViewPng(renderer, view, opts) {
+  const max = renderer.capabilities.maxTextureSize;
+  const w = clamp(Math.round(opts.width), 1, max);
+  const h = clamp(Math.round(opts.height), 1, max);
+
+  const target = createDisplayRenderTarget(w, h);
+  const pixels = new Uint8Array(w * h * 4);
+  try {
+    // Lay the view out for the capture size (camera aspect, internal targets); the canvas
+    // keeps its size, so the on-screen frame survives and no 4K drawing buffer is allocated.
+    view.resize(w, h, 1, { offscreen: true });
+    renderView(renderer, view, opts.tMs, target);
+    renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+  } finally {
+    target.dispose();
+    opts.restore();
+  }
+
+  // GL rows start at the bottom; images start at the top.
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  const image = ctx.createImageData(w, h);
+  const rowBytes = w * 4;
+  for (let y = 0; y < h; y++) {
+    image.data.set(pixels.subarray((h - 1 - y) * rowBytes, (h - y) * rowBytes), y * rowBytes);
+  }
+  ctx.putImageData(image, 0, 0);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+}
+
+/**
+ * First WebM flavour this browser can record, or null (e.g. older Safari).
+ */
+export function pickClipMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  return candidates.find((t) => MediaRecorder.isTypeSupported(t)) ?? null;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ fps?: number, bitsPerSecond?: number }} [opts]
+ */
+export function createClipRecorder(canvas, opts = {}) {
+  const fps = opts.fps ?? 60;
+  const bitsPerSecond = opts.bitsPerSecond ?? 12_000_000;
+
+  /** @type {MediaRecorder | null} */
+  let recorder = null;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let stopTimer = null;
+
+  /**
+   * Record `seconds` of canvas output.
+   * @param {number} seconds
+   * @returns {Promise<Blob>}
+   */
+  function record(seconds) {
+    if (recorder) return Promise.reject(new Error('Already recording'));
+    const mimeType = pickClipMimeType();
+    if (!mimeType || typeof canvas.captureStream !== 'function') {
+      return Promise.reject(new Error('Clip recording is not supported in this browser'));
+    }
+
+    const stream = canvas.captureStream(fps);
+    /** @type {Blob[]} */
+    const chunks = [];
+    const rec = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitsPerSecond });
+    recorder = rec;
+
+    return new Promise((resolve, reject) => {
+      rec.addEventListener('dataavailable', (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
+      });
+      rec.addEventListener('stop', () => {
+        for (const track of stream.getTracks()) track.stop();
+        recorder = null;
+        if (stopTimer) clearTimeout(stopTimer);
+        stopTimer = null;
+        if (chunks.length) resolve(new Blob(chunks, { type: mimeType }));
+        else reject(new Error('Recording produced no data'));
+      });
+      rec.start(250);
+      stopTimer = setTimeout(stop, clamp(seconds, 0.5, 60) * 1000);
+    });
+  }
+
+  /** Stop early; the pending `record()` promise resolves with what was captured. */
+  function stop() {
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+  }
+
+  return {
+    record,
+    stop,
+    get recording() {
+      return recorder !== null;
+    },
+  };
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  // Give the download a moment to start before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 10_000);
+}
+
+/**
+ * `geometry-drift_black-hole-2_2024-05-01T12-30-00.png`
+ * @param {string} viewId
+ * @param {string} ext
+ */
+export function captureFilename(viewId, ext) {
+  const stamp = new Date().toISOString().replace(/\..+$/, '').replace(/:/g, '-');
+  return `geometry-drift_${viewId}_${stamp}.${ext}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * App clock
+ *
+ * Turns rAF timestamps into the `dt` (seconds) and `tMs` that views see:
+ * - real time: `dt` from the frame interval (clamped), `tMs` stops while the page is paused
+ * - fixed step (`?fixedDt=0.016`): every frame advances exactly `fixedDt`, whatever the
+ *   real frame rate, so runs are frame-for-frame reproducible
+ */
+
+// Cap on a real-time step so a hitch doesn't teleport animations.
+const MAX_DT = 0.05;
+
+/**
+ * @param {{ fixedDt?: number | null }} [opts]
+ */
+export function createAppClock(opts = {}) {
+  const fixedDt = opts.fixedDt && opts.fixedDt > 0 ? opts.fixedDt : null;
+
+  let lastRaf = performance.now();
+  // Real mode: time spent paused (background tab). Fixed mode: unused.
+  let pausedTotalMs = 0;
+  // Fixed mode: virtual time.
+  let virtualMs = 0;
+
+  let dt = 0;
+  let tMs = 0;
+  let frameMs = 0;
+
+  /**
+   * Advance one frame.
+   * @param {number} rafNow - requestAnimationFrame timestamp
+   */
+  function tick(rafNow) {
+    // Real interval, for frame-time monitoring (quality manager) in either mode.
+    frameMs = rafNow - lastRaf;
+    lastRaf = rafNow;
+
+    if (fixedDt) {
+      dt = fixedDt;
+      virtualMs += fixedDt * 1000;
+      tMs = virtualMs;
+    } else {
+      dt = Math.min(MAX_DT, frameMs / 1000);
+      tMs = rafNow - pausedTotalMs;
+    }
+  }
+
+  /**
+   * Page came back after `pausedMs`; don't count the gap as animation time.
+   * @param {number} pausedMs
+   */
+  function resume(pausedMs) {
+    if (!fixedDt) pausedTotalMs += pausedMs;
+    lastRaf = performance.now();
+  }
+
+  /**
+   * Jump virtual time (fixed mode only; used by `renderAt`).
+   * @param {number} ms
+   */
+  function setTime(ms) {
+    if (!fixedDt) return;
+    virtualMs = ms;
+    tMs = ms;
+  }
+
+  return {
+    tick,
+    resume,
+    setTime,
+    get fixedDt() {
+      return fixedDt;
+    },
+    /** Seconds since the previous frame (fixed or clamped). */
+    get dt() {
+      return dt;
+    },
+    /** Animation time in ms, passed to `view.render()` and transitions. */
+    get tMs() {
+      return tMs;
+    },
+    /** Real ms since the previous frame. */
+    get frameMs() {
+      return frameMs;
+    },
+  };
+}
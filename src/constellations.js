@@ -13,8 +13,9 @@ function decDegToRad(deg) {
 /**
  * Convert equatorial coordinates (RA/Dec) to a point on a sphere.
  * Notes:
- * - This is an arbitrary sky orientation; the relative placements are preserved.
- * - We flip Z so RA around ~6h tends to appear "forward" for a -Z camera.
+ * - Equatorial frame: +Y = north celestial pole, +X = RA 0h, -Z = RA 6h.
+ *   Unaligned, this is an arbitrary sky orientation (RA ~6h "forward" for a -Z camera);
+ *   `setSkyOrientation` on the layer rotates it onto the real local sky (see sky.js).
  * @param {number} raHours
  * @param {number} decDeg
  * @param {number} radius
@@ -265,21 +266,39 @@ export function createConstellationLayer(opts) {
     beamOpacity: beamMat.opacity,
     beamSize: beamMat.size,
   };
+  // Extra glow on top of the slow pulse (audio-reactive views), 0..2.
+  let extraPulse = 0;
   group.userData.update = (dt) => {
     t += dt;
     const s = 0.5 + 0.5 * Math.sin(t * 0.6); // slow pulse
     const p = 0.75 + 0.25 * s;
 
-    glowMat.opacity = base.glowOpacity * (0.78 + 0.45 * s);
-    glowMat.size = base.glowSize * (0.92 + 0.14 * s);
+    glowMat.opacity = base.glowOpacity * (0.78 + 0.45 * s + 0.6 * extraPulse);
+    glowMat.size = base.glowSize * (0.92 + 0.14 * s + 0.3 * extraPulse);
 
-    beamMat.opacity = base.beamOpacity * (0.70 + 0.75 * s);
-    beamMat.size = base.beamSize * (0.90 + 0.18 * s);
+    beamMat.opacity = base.beamOpacity * (0.70 + 0.75 * s + 0.5 * extraPulse);
+    beamMat.size = base.beamSize * (0.90 + 0.18 * s + 0.3 * extraPulse);
 
     // Subtle breathing in the core so the constellation feels “alive”
     coreMat.opacity = 0.92 + 0.08 * p;
   };
 
+  /**
+   * @param {number} v - extra glow pulse (0 = none, e.g. the music's beat)
+   */
+  group.userData.setPulse = (v) => {
+    extraPulse = clamp(v, 0, 2);
+  };
+
+  /**
+   * Equatorial -> world rotation (sky.js), or null for the default arbitrary orientation.
+   * @param {THREE.Quaternion | null} q
+   */
+  group.userData.setSkyOrientation = (q) => {
+    if (q) group.quaternion.copy(q);
+    else group.quaternion.identity();
+  };
+
   return group;
 }
 
@@ -0,0 +1,124 @@
+/**
+ * Diagnostics
+ * - Collects errors from views (create/update/render/asset loads) and the page
+ * - Keeps the most recent entries in memory; `exportJson()` bundles them with
+ *   environment info (browser, WebGL) for bug reports
+ *
+ * @typedef {'create' | 'update' | 'render' | 'load' | 'capture' | 'page'} DiagnosticPhase
+ *
+ * @typedef {{
+ *  time: string,
+ *  source: string,
+ *  phase: DiagnosticPhase,
+ *  level: 'error' | 'warning',
+ *  message: string,
+ *  detail: string,
+ * }} DiagnosticEntry
+ */
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Normalize anything thrown into a message + multi-line detail (shader log, stack).
+ * @param {unknown} error
+ */
+export function describeError(error) {
+  if (error instanceof Error) {
+    const [first, ...rest] = error.message.split('\n');
+    const detail = rest.join('\n').trim() || error.stack || '';
+    return { message: first || error.name, detail };
+  }
+  if (error && typeof error === 'object' && 'type' in error) {
+    // Loader errors are sometimes plain ProgressEvents ("error" from XHR).
+    const e = /** @type {any} */ (error);
+    const status = typeof e.target?.status === 'number' && e.target.status ? `HTTP ${e.target.status}` : e.type;
+    return { message: `Request failed (${String(status)})`, detail: '' };
+  }
+  return { message: String(error), detail: '' };
+}
+
+/**
+ * @param {{ maxEntries?: number, getEnvironment?: () => Record<string, unknown> }} [opts]
+ */
+export function createDiagnostics(opts = {}) {
+  const maxEntries = Math.max(1, opts.maxEntries ?? DEFAULT_MAX_ENTRIES);
+  /** @type {DiagnosticEntry[]} */
+  const entries = [];
+  /** @type {Set<(entry: DiagnosticEntry) => void>} */
+  const listeners = new Set();
+
+  /**
+   * @param {{
+   *  source: string,
+   *  phase: DiagnosticPhase,
+   *  error: unknown,
+   *  level?: 'error' | 'warning',
+   * }} o
+   * @returns {DiagnosticEntry}
+   */
+  function report(o) {
+    const { message, detail } = describeError(o.error);
+    /** @type {DiagnosticEntry} */
+    const entry = {
+      time: new Date().toISOString(),
+      source: o.source,
+      phase: o.phase,
+      level: o.level ?? 'error',
+      message,
+      detail,
+    };
+    entries.push(entry);
+    if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+
+    // eslint-disable-next-line no-console
+    (entry.level === 'error' ? console.error : console.warn)(`[${o.source}] ${o.phase}: ${message}`, o.error);
+    for (const fn of listeners) fn(entry);
+    return entry;
+  }
+
+  /**
+   * JSON bundle for bug reports.
+   */
+  function exportJson() {
+    let environment = {};
+    try {
+      environment = opts.getEnvironment?.() ?? {};
+    } catch {
+      // ignore
+    }
+    return JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        url: location.href,
+        userAgent: navigator.userAgent,
+        environment,
+        entries,
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * @param {(entry: DiagnosticEntry) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function clear() {
+    entries.length = 0;
+  }
+
+  return {
+    report,
+    exportJson,
+    subscribe,
+    clear,
+    get entries() {
+      return /** @type {readonly DiagnosticEntry[]} */ (entries);
+    },
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * GPU resource cleanup helpers shared by views.
+ *
+ * Three.js never frees GPU memory on its own; geometries, materials, textures and
+ * render targets must be disposed explicitly when a view is torn down.
+ */
+
+/**
+ * @param {any} material
+ * @param {Set<any>} seen
+ */
+function disposeMaterial(material, seen) {
+  if (!material || seen.has(material)) return;
+  seen.add(material);
+
+  // Any texture-valued property (map, bumpMap, alphaMap, ...) or uniform.
+  for (const value of Object.values(material)) {
+    if (value && value.isTexture && !seen.has(value)) {
+      seen.add(value);
+      value.dispose();
+    }
+  }
+  if (material.uniforms) {
+    for (const u of Object.values(material.uniforms)) {
+      const value = /** @type {any} */ (u)?.value;
+      if (value && value.isTexture && !seen.has(value)) {
+        seen.add(value);
+        value.dispose();
+      }
+    }
+  }
+  material.dispose();
+}
+
+/**
+ * Dispose every geometry, material and texture reachable from `root`.
+ * Shared resources are disposed once.
+ *
+ * @param {import('three').Object3D} root
+ */
+export function disposeObject3D(root) {
+  /** @type {Set<any>} */
+  const seen = new Set();
+
+  root.traverse((obj) => {
+    const o = /** @type {any} */ (obj);
+
+    // Helpers with their own internal resources (e.g. Lensflare).
+    if (o.isLensflare && typeof o.dispose === 'function') o.dispose();
+
+    if (o.geometry && !seen.has(o.geometry)) {
+      seen.add(o.geometry);
+      o.geometry.dispose();
+    }
+
+    if (Array.isArray(o.material)) {
+      for (const m of o.material) disposeMaterial(m, seen);
+    } else {
+      disposeMaterial(o.material, seen);
+    }
+  });
+
+  const scene = /** @type {any} */ (root);
+  if (scene.background && scene.background.isTexture) scene.background.dispose();
+  if (scene.environment && scene.environment.isTexture) scene.environment.dispose();
+}
@@ -1,20 +1,14 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { createAudioReactiveOptions } from './audioReactive.js';
 import { createConstellationLayer } from './constellations.js';
+import { formatVec3, parseVec3 } from './viewRoute.js';
+import { disposeObject3D } from './dispose.js';
+import { mulberry32, random } from './random.js';
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return () => {
-    t += 0x6d2b79f5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 function smoothstep(edge0, edge1, x) {
   const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
   return t * t * (3 - 2 * t);
@@ -211,6 +205,7 @@ function createEarthFallback(renderer) {
 
   const cloudsImg = cctx.getImageData(0, 0, TEX_W, TEX_H);
   const cd = cloudsImg.data;
+  // Own fixed seed: the cloud texture is an asset, identical in every run (seeded or not).
   const rand = mulberry32(1337);
   for (let y = 0; y < TEX_H; y++) {
     const v = y / (TEX_H - 1);
@@ -295,14 +290,20 @@ function createEarthFallback(renderer) {
  * - Centers it at (0,0,0)
  * - Adds an "infinite" starfield (camera-attached)
  * - Orbit controls (swipe rotate + pinch/wheel zoom)
- * - Optional background music (started from user gesture)
+ * - Background music track (`music`, crossfaded in by the app when the view becomes active)
  *
  * Expected assets:
  * - /public/models/earth/scene.gltf (+ referenced .bin/.png/etc)
  * - /public/Music/Earth_Background.mp3
  *
  * @param {import('three').WebGLRenderer} renderer
- * @param {{ modelUrl?: string, musicUrl?: string }} [opts]
+ * @param {{
+ *  modelUrl?: string,
+ *  musicUrl?: string,
+ *  onError?: (err: unknown) => void,
+ * }} [opts]
+ *   `musicUrl`: declared as the view's `music`; the app's sound controller plays it
+ *   `onError`: the model failed to load (the procedural Earth is shown instead)
  */
 export function createEarthViewScene(renderer, opts = {}) {
   const modelUrl = opts.modelUrl ?? '/models/earth/scene.gltf';
@@ -332,8 +333,8 @@ export function createEarthViewScene(renderer, opts = {}) {
   const starPositions = new Float32Array(STAR_COUNT * 3);
   for (let i = 0; i < STAR_COUNT; i++) {
     // Random point on a sphere (uniform)
-    const u = Math.random();
-    const v = Math.random();
+    const u = random();
+    const v = random();
     const theta = 2 * Math.PI * u;
     const phi = Math.acos(2 * v - 1);
     const x = STAR_RADIUS * Math.sin(phi) * Math.cos(theta);
@@ -371,6 +372,11 @@ export function createEarthViewScene(renderer, opts = {}) {
     blending: THREE.AdditiveBlending,
   });
 
+  // Quality tiers draw only the first N stars (positions are uniformly random, so any prefix is too).
+  function setStarFraction(f) {
+    starGeo.setDrawRange(0, Math.max(1, Math.round(STAR_COUNT * f)));
+  }
+
   const starsCore = new THREE.Points(starGeo, starCoreMat);
   const starsGlow = new THREE.Points(starGeo, starGlowMat);
   starsCore.frustumCulled = false;
@@ -410,6 +416,8 @@ export function createEarthViewScene(renderer, opts = {}) {
   const loader = new GLTFLoader();
   /** @type {THREE.Object3D | null} */
   let modelRoot = null;
+  // Set when a deep link restored the camera; framing on load must not override it.
+  let cameraFromUrl = false;
   // Pivot that stays at the origin. We rotate THIS so the model spins about its own center.
   const modelPivot = new THREE.Group();
   scene.add(modelPivot);
@@ -439,71 +447,132 @@ export function createEarthViewScene(renderer, opts = {}) {
     const fitOffset = 1.35;
     const fov = (camera.fov * Math.PI) / 180;
     const dist = (maxSize / (2 * Math.tan(fov / 2))) * fitOffset;
-    const dir = new THREE.Vector3(1, 0.35, 1).normalize();
-    camera.position.set(0, 0, 0).addScaledVector(dir, dist);
+    if (!cameraFromUrl) {
+      const dir = new THREE.Vector3(1, 0.35, 1).normalize();
+      camera.position.set(0, 0, 0).addScaledVector(dir, dist);
+      controls.target.set(0, 0, 0);
+    }
     camera.near = Math.max(0.001, dist / 1000);
     camera.far = Math.max(4000, dist * 30);
     camera.updateProjectionMatrix();
-    controls.target.set(0, 0, 0);
     controls.update();
   }
 
+  let disposed = false;
+
+  // Settles once the model has loaded or failed (fallback stays); used for reproducible captures.
+  /** @type {() => void} */
+  let markReady = () => {};
+  const ready = new Promise((resolve) => {
+    markReady = () => resolve(undefined);
+  });
+
   loader.load(
     modelUrl,
     (gltf) => {
+      // The view may have been released while the model was still downloading.
+      if (disposed) {
+        disposeObject3D(gltf.scene);
+        return;
+      }
+
+      // The procedural fallback (three 1024x512 canvases) is no longer needed.
       scene.remove(fallbackEarth);
+      disposeObject3D(fallbackEarth);
       // Clear any previous model instance.
       modelPivot.clear();
       modelRoot = gltf.scene || gltf.scenes?.[0] || null;
-      if (!modelRoot) return;
+      if (!modelRoot) {
+        markReady();
+        return;
+      }
       modelPivot.add(modelRoot);
       const { size } = centerObjectAtOrigin(modelRoot);
       frameSizeAtOrigin(Math.max(1, size));
+      markReady();
     },
     undefined,
     (err) => {
+      if (disposed) return;
       // Keep fallback visible. Helpful hint for the common "missing file" case.
       // eslint-disable-next-line no-console
       console.warn(`[Earth] Failed to load model at ${modelUrl}. Using fallback Earth.`, err);
+      opts.onError?.(err);
       modelRoot = null;
       modelPivot.clear();
+      markReady();
     },
   );
 
-  // Music: keep it simple with HTMLAudioElement (requires user gesture to start on mobile).
-  const music = new Audio(musicUrl);
-  music.loop = true;
-  music.preload = 'auto';
-  music.volume = 0.55;
-  let wantsMusic = false;
-
-  async function tryStartMusic() {
-    if (!wantsMusic) return;
-    try {
-      await music.play();
-    } catch {
-      // Autoplay blocked until user gesture; main.js will call onUserGesture() on pointerdown.
-    }
+  // Options (settings panel)
+  const options = { autoRotate: true, spinSpeed: 0.1 };
+  const optionDefaults = { ...options };
+  // Music: beats flash the constellations.
+  const audio = createAudioReactiveOptions();
+
+  function getOptions() {
+    return [
+      {
+        key: 'autoRotate',
+        label: 'Auto-rotate',
+        type: 'toggle',
+        default: optionDefaults.autoRotate,
+        value: options.autoRotate,
+      },
+      {
+        key: 'spinSpeed',
+        label: 'Spin speed',
+        type: 'range',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        default: optionDefaults.spinSpeed,
+        value: options.spinSpeed,
+      },
+      ...audio.getOptions(),
+    ];
+  }
+
+  /**
+   * @param {string} key
+   * @param {number | boolean} value
+   */
+  function setOption(key, value) {
+    if (audio.setOption(key, value)) return;
+    if (key === 'autoRotate') options.autoRotate = !!value;
+    else if (key === 'spinSpeed' && Number.isFinite(Number(value))) options.spinSpeed = Number(value);
   }
 
   function update(_dt) {
     controls.update();
+    constellations.userData.setPulse(audio.features.beat);
     constellations.userData?.update?.(_dt);
     // Keep the "void" centered around the camera, but in world space (no camera parenting).
     voidGroup.position.copy(camera.position);
+    const spin = options.autoRotate ? options.spinSpeed : 0;
     if (!modelRoot) {
-      if (fallbackEarthMesh) fallbackEarthMesh.rotation.y += 0.10 * _dt;
-      if (fallbackCloudsMesh) fallbackCloudsMesh.rotation.y += 0.14 * _dt;
+      if (fallbackEarthMesh) fallbackEarthMesh.rotation.y += spin * _dt;
+      // Clouds drift a little faster than the ground.
+      if (fallbackCloudsMesh) fallbackCloudsMesh.rotation.y += spin * 1.4 * _dt;
     } else {
       // Gentle auto-rotation around the model's own center.
-      modelPivot.rotation.y += 0.10 * _dt;
+      modelPivot.rotation.y += spin * _dt;
     }
   }
 
-  function resize(w, h, dpr) {
+  /**
+   * @param {import('./quality.js').QualityTier} tier
+   */
+  function setQuality(tier) {
+    setStarFraction(tier.starFraction);
+  }
+
+  function resize(w, h, dpr, layout = {}) {
     camera.aspect = w / h;
     camera.updateProjectionMatrix();
-    renderer.setPixelRatio(clamp(dpr, 1, 2));
+    if (layout.offscreen) return;
+    // Lower bound < 1 so the low quality tier can render below native resolution.
+    renderer.setPixelRatio(clamp(dpr, 0.5, 2));
     renderer.setSize(w, h, false);
   }
 
@@ -513,17 +582,33 @@ export function createEarthViewScene(renderer, opts = {}) {
    */
   function setActive(isActive) {
     controls.enabled = !!isActive;
-    wantsMusic = !!isActive;
-    if (wantsMusic) {
-      tryStartMusic();
-    } else {
-      music.pause();
-    }
   }
 
-  function onUserGesture() {
-    // Start (or resume) music if this view is active.
-    tryStartMusic();
+  function dispose() {
+    disposed = true;
+    controls.dispose();
+    // Covers the fallback Earth while it is still in the scene.
+    disposeObject3D(scene);
+  }
+
+  /**
+   * Serializable state for deep links: orbit camera position + target.
+   */
+  function getUrlState() {
+    return { cam: formatVec3(camera.position), target: formatVec3(controls.target) };
+  }
+
+  /**
+   * @param {Record<string, string>} state
+   */
+  function applyUrlState(state) {
+    const cam = parseVec3(state.cam);
+    const target = parseVec3(state.target);
+    if (!cam && !target) return;
+    if (cam) camera.position.fromArray(cam);
+    if (target) controls.target.fromArray(target);
+    cameraFromUrl = true;
+    controls.update();
   }
 
   return {
@@ -533,8 +618,18 @@ export function createEarthViewScene(renderer, opts = {}) {
     update,
     resize,
     setActive,
-    onUserGesture,
+    ready,
+    dispose,
+    getUrlState,
+    applyUrlState,
+    getOptions,
+    setOption,
+    setQuality,
+    setAudioFeatures: audio.apply,
     useMotion: false,
+    music: { url: musicUrl, gain: 0.55 },
+    // OrbitControls dollies on two-finger pinch; keep the app's gesture defaults off it.
+    gestures: ['pinch'],
     // Let the app hide the HUD by default on this view.
     defaultUiHidden: true,
     modelUrl,
@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Keep the card readable on phones and desktops alike (CSS pixels).
+const CARD_MAX_WIDTH = 640;
+const MAX_DETAIL_LINES = 14;
+
+/**
+ * Split text into lines that fit `maxWidth` for the context's current font.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ */
+function wrapText(ctx, text, maxWidth) {
+  /** @type {string[]} */
+  const lines = [];
+  for (const para of text.split('\n')) {
+    let line = '';
+    for (const word of para.split(/(\s+)/)) {
+      const next = line + word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line.trimEnd());
+        line = word.trimStart();
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Error card view
+ * - Stands in for a view that failed to build, update or render
+ * - Draws the error (message + shader log / loader error) into the canvas itself,
+ *   so it works with transitions, capture and hidden HUD like any other view
+ * - Tap (or Next) skips ahead; drags and pinches do nothing
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {{
+ *  title: string,
+ *  message: string,
+ *  detail?: string,
+ *  onSkip?: () => void,
+ * }} opts
+ */
+export function createErrorViewScene(renderer, opts) {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x07080f);
+
+  // Pixel-space camera: one world unit = one CSS pixel, origin at the center.
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 10);
+  camera.position.z = 1;
+
+  const cardCanvas = document.createElement('canvas');
+  const texture = new THREE.CanvasTexture(cardCanvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearFilter;
+  texture.generateMipmaps = false;
+
+  const card = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    // UI colors: skip tone mapping so the card looks like the HUD.
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, toneMapped: false }),
+  );
+  scene.add(card);
+
+  /**
+   * Redraw the card for a viewport (CSS px) at `pr` device pixels per CSS px.
+   * @param {number} viewW
+   * @param {number} pr
+   */
+  function drawCard(viewW, pr) {
+    const w = Math.min(CARD_MAX_WIDTH, viewW - 32);
+    const pad = 20;
+    const ctx = /** @type {CanvasRenderingContext2D} */ (cardCanvas.getContext('2d'));
+
+    // Measure at 1x to find the height, then draw at device resolution.
+    ctx.font = '600 18px system-ui, -apple-system, sans-serif';
+    const titleLines = wrapText(ctx, opts.title, w - pad * 2);
+    ctx.font = '15px system-ui, -apple-system, sans-serif';
+    const messageLines = wrapText(ctx, opts.message, w - pad * 2);
+    ctx.font = '12px ui-monospace, Menlo, Consolas, monospace';
+    let detailLines = opts.detail ? wrapText(ctx, opts.detail, w - pad * 2) : [];
+    if (detailLines.length > MAX_DETAIL_LINES) {
+      detailLines = [...detailLines.slice(0, MAX_DETAIL_LINES - 1), '… (full log in Settings → Diagnostics)'];
+    }
+
+    const h =
+      pad * 2 +
+      titleLines.length * 24 +
+      8 +
+      messageLines.length * 20 +
+      (detailLines.length ? 12 + detailLines.length * 16 : 0) +
+      16 +
+      18;
+
+    cardCanvas.width = Math.max(1, Math.round(w * pr));
+    cardCanvas.height = Math.max(1, Math.round(h * pr));
+    ctx.setTransform(pr, 0, 0, pr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    ctx.fillStyle = 'rgba(20, 22, 34, 0.96)';
+    ctx.strokeStyle = 'rgba(255, 110, 110, 0.55)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    if (ctx.roundRect) ctx.roundRect(0.5, 0.5, w - 1, h - 1, 14);
+    else ctx.rect(0.5, 0.5, w - 1, h - 1);
+    ctx.fill();
+    ctx.stroke();
+
+    let y = pad;
+    ctx.textBaseline = 'top';
+
+    ctx.fillStyle = '#ff8a8a';
+    ctx.font = '600 18px system-ui, -apple-system, sans-serif';
+    for (const line of titleLines) {
+      ctx.fillText(line, pad, y);
+      y += 24;
+    }
+    y += 8;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.font = '15px system-ui, -apple-system, sans-serif';
+    for (const line of messageLines) {
+      ctx.fillText(line, pad, y);
+      y += 20;
+    }
+
+    if (detailLines.length) {
+      y += 12;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.font = '12px ui-monospace, Menlo, Consolas, monospace';
+      for (const line of detailLines) {
+        ctx.fillText(line, pad, y);
+        y += 16;
+      }
+    }
+
+    y += 16;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.font = '13px system-ui, -apple-system, sans-serif';
+    ctx.fillText('Tap to skip to the next view', pad, y);
+
+    texture.needsUpdate = true;
+    card.scale.set(w, h, 1);
+  }
+
+  function resize(w, h, dpr, layout = {}) {
+    const pr = clamp(dpr, 0.5, 2);
+    if (!layout.offscreen) {
+      renderer.setPixelRatio(pr);
+      renderer.setSize(w, h, false);
+    }
+
+    camera.left = -w / 2;
+    camera.right = w / 2;
+    camera.top = h / 2;
+    camera.bottom = -h / 2;
+    camera.updateProjectionMatrix();
+
+    // Text stays crisp on retina even when the quality tier lowers the canvas ratio.
+    drawCard(w, Math.max(pr, window.devicePixelRatio || 1));
+  }
+
+  function update(_dt) {
+    // Static card
+  }
+
+  /**
+   * @param {import('./gestures.js').Gesture} g
+   */
+  function onGesture(g) {
+    if (g.type === 'tap') opts.onSkip?.();
+  }
+
+  function dispose() {
+    card.geometry.dispose();
+    card.material.dispose();
+    texture.dispose();
+  }
+
+  return {
+    name: opts.title,
+    scene,
+    camera,
+    update,
+    resize,
+    dispose,
+    gestures: ['tap'],
+    onGesture,
+    // The card is plain UI: no gyro look, keep the HUD (Prev/Next) visible.
+    useMotion: false,
+    defaultUiHidden: false,
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * App event sinks
+ *
+ * Independent subscribers to the event bus (appEvents.js). Each takes its own filter, so
+ * e.g. the debug log can watch everything while toasts only show a handful of events.
+ * Every factory returns `{ dispose }` (unsubscribe).
+ *
+ * @typedef {import('./appEvents.js').AppEvent} AppEvent
+ * @typedef {import('./appEvents.js').EventFilter} EventFilter
+ * @typedef {ReturnType<typeof import('./appEvents.js').createEventBus>} EventBus
+ */
+
+/**
+ * Haptic feedback per event. `beat` events come in a stream (one per pulse): they play as
+ * beats of a continuous pattern and never cut a one-shot short.
+ * @type {Record<string, { pattern: string, beat?: boolean }>}
+ */
+export const HAPTICS_BY_EVENT = {
+  'view:change': { pattern: 'doubleTap' },
+  'motion:enabled': { pattern: 'heartbeat' },
+  'motion:recentered': { pattern: 'tick' },
+  'sun:inView': { pattern: 'rumble' },
+  'pulsar:tick': { pattern: 'tick', beat: true },
+};
+
+/**
+ * HUD toast text per event; return null to skip one.
+ * @type {Record<string, (detail: any) => string | null>}
+ */
+export const TOAST_TEXT_BY_EVENT = {
+  'motion:enabled': () => 'Motion on',
+  'motion:recentered': () => 'Recentered',
+  'model:loaded': () => 'Model loaded',
+  'model:error': () => 'Model failed to load',
+  // Manual changes come from the settings panel, where the new tier is already on screen.
+  'quality:changed': (d) => (d.reason === 'manual' ? null : `Quality: ${d.tier}`),
+};
+
+/**
+ * @param {EventBus} bus
+ * @param {ReturnType<typeof import('./soundController.js').createSoundController>} sounds
+ * @param {{ filter?: EventFilter }} [opts]
+ *   filter: default, every event the sound manifest or a synth recipe knows
+ */
+export function createSoundSink(bus, sounds, opts = {}) {
+  const dispose = bus.on(opts.filter ?? ((e) => sounds.hasEvent(e.type)), (e) => sounds.trigger(e.type));
+  return { dispose };
+}
+
+/**
+ * @param {EventBus} bus
+ * @param {ReturnType<typeof import('./haptics.js').createHapticPlayer>} haptics
+ * @param {{ filter?: EventFilter, patterns?: typeof HAPTICS_BY_EVENT }} [opts]
+ *   filter: default, every event in `patterns`
+ */
+export function createHapticsSink(bus, haptics, opts = {}) {
+  const patterns = opts.patterns ?? HAPTICS_BY_EVENT;
+  const dispose = bus.on(opts.filter ?? ((e) => e.type in patterns), (e) => {
+    const entry = patterns[e.type];
+    if (!entry) return;
+    if (entry.beat) haptics.beat(entry.pattern);
+    else haptics.play(entry.pattern);
+  });
+  return { dispose };
+}
+
+/**
+ * @param {EventBus} bus
+ * @param {ReturnType<typeof import('./toast.js').createToast>} toast
+ * @param {{ filter?: EventFilter, texts?: typeof TOAST_TEXT_BY_EVENT }} [opts]
+ *   filter: default, every event in `texts`
+ */
+export function createToastSink(bus, toast, opts = {}) {
+  const texts = opts.texts ?? TOAST_TEXT_BY_EVENT;
+  const dispose = bus.on(opts.filter ?? ((e) => e.type in texts), (e) => {
+    const text = texts[e.type]?.(e.detail ?? {});
+    if (text) toast.show(text, { level: e.type.endsWith(':error') ? 'warning' : 'info' });
+  });
+  return { dispose };
+}
+
+/**
+ * Recent events in memory (bundled into the diagnostics export), optionally echoed to the
+ * console.
+ * @param {EventBus} bus
+ * @param {{ filter?: EventFilter, limit?: number, print?: boolean }} [opts]
+ *   filter: default '*'; limit: entries kept (default 200); print: `console.debug` each one
+ */
+export function createEventLog(bus, opts = {}) {
+  const limit = Math.max(1, opts.limit ?? 200);
+  /** @type {AppEvent[]} */
+  const entries = [];
+  const dispose = bus.on(opts.filter ?? '*', (e) => {
+    entries.push(e);
+    if (entries.length > limit) entries.splice(0, entries.length - limit);
+    // eslint-disable-next-line no-console
+    if (opts.print) console.debug(`[event] ${e.type}`, e.detail ?? '');
+  });
+  return {
+    dispose,
+    /** Oldest first. */
+    get entries() {
+      return entries;
+    },
+  };
+}
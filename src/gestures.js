@@ -0,0 +1,308 @@
+/**
+ * Gesture layer
+ * - Recognizes tap, double-tap, long-press, edge-swipe, pinch, two-finger rotate (pointer events)
+ *   and device shake (`devicemotion`)
+ * - Listens on `window` in the capture phase, so it sees canvas input before the views' own
+ *   listeners (OrbitControls, motion drag). Everything is observed without blocking, except an
+ *   edge-swipe: a touch that starts in the edge zone is claimed for the app (its moves stop
+ *   here) unless the active view consumes edge-swipes itself. Its down and up still pass, so
+ *   the first-gesture unlock (audio, motion permission) runs and the views' own listeners
+ *   see a press that starts and ends in place.
+ * - `onGesture` decides who handles what (main.js: the view if it declares the gesture in
+ *   `view.gestures`, otherwise the app default).
+ *
+ * A tap is reported on release; a double-tap is reported in addition to its second tap.
+ *
+ * @typedef {'tap' | 'doubletap' | 'longpress' | 'edgeswipe' | 'pinch' | 'rotate' | 'shake'} GestureType
+ *
+ * @typedef {{
+ *  type: GestureType,
+ *  x?: number,
+ *  y?: number,
+ *  pointerType?: string,
+ *  edge?: 'left' | 'right',
+ *  phase?: 'start' | 'change' | 'end',
+ *  scale?: number,
+ *  angle?: number,
+ * }} Gesture
+ *   x/y: CSS px (taps, long-press, pinch/rotate center); edge: where an edge-swipe started;
+ *   scale: pinch factor since the previous event (> 1 = fingers apart);
+ *   angle: rotation since the previous event (radians, + = counter-clockwise on screen)
+ */
+
+export const GESTURE_TYPES = /** @type {GestureType[]} */ ([
+  'tap',
+  'doubletap',
+  'longpress',
+  'edgeswipe',
+  'pinch',
+  'rotate',
+  'shake',
+]);
+
+const TAP_MAX_MS = 300;
+const TAP_SLOP_PX = 10;
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_DIST_PX = 36;
+const LONG_PRESS_MS = 550;
+const EDGE_ZONE_PX = 24;
+const EDGE_SWIPE_MIN_PX = 60;
+const EDGE_SWIPE_MAX_MS = 700;
+
+// Shake: several hard direction reversals in a short window, then a cooldown.
+const SHAKE_ACCEL = 14; // m/s^2 (gravity removed)
+const SHAKE_REVERSALS = 3;
+const SHAKE_WINDOW_MS = 800;
+const SHAKE_COOLDOWN_MS = 1500;
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{
+ *  onGesture: (gesture: Gesture) => void,
+ *  claimsEdgeSwipe?: () => boolean,
+ * }} opts
+ *   claimsEdgeSwipe: false while the active view consumes edge-swipes itself (default true)
+ */
+export function createGestureRecognizer(canvas, opts) {
+  const emit = (/** @type {Gesture} */ g) => opts.onGesture(g);
+
+  /** @type {Map<number, { x: number, y: number, startX: number, startY: number, t: number, type: string }>} */
+  const pointers = new Map();
+  // Single-pointer press (tap / long-press candidate).
+  /** @type {{ id: number, moved: boolean, longPressed: boolean, timer: ReturnType<typeof setTimeout> | null } | null} */
+  let press = null;
+  let lastTap = { t: -Infinity, x: 0, y: 0 };
+  // Edge-swipe in progress: the claimed pointer and the edge it started from.
+  /** @type {{ id: number, edge: 'left' | 'right' } | null} */
+  let edge = null;
+  // Two-finger state: last distance and angle.
+  /** @type {{ dist: number, angle: number } | null} */
+  let twoFinger = null;
+  let enabled = true;
+
+  function clearPress() {
+    if (press?.timer) clearTimeout(press.timer);
+    press = null;
+  }
+
+  function twoFingerGeometry() {
+    const [a, b] = pointers.values();
+    return {
+      dist: Math.hypot(b.x - a.x, b.y - a.y),
+      // Screen y grows downward; flip so + is counter-clockwise as seen.
+      angle: Math.atan2(-(b.y - a.y), b.x - a.x),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+    };
+  }
+
+  /**
+   * @param {'start' | 'change' | 'end'} phase
+   */
+  function emitTwoFinger(phase) {
+    if (!twoFinger) return;
+    const g = twoFingerGeometry();
+    let dAngle = g.angle - twoFinger.angle;
+    if (dAngle > Math.PI) dAngle -= Math.PI * 2;
+    if (dAngle < -Math.PI) dAngle += Math.PI * 2;
+    const scale = twoFinger.dist > 0 && g.dist > 0 ? g.dist / twoFinger.dist : 1;
+    twoFinger = { dist: g.dist, angle: g.angle };
+    emit({ type: 'pinch', phase, scale: phase === 'start' ? 1 : scale, x: g.x, y: g.y });
+    emit({ type: 'rotate', phase, angle: phase === 'start' ? 0 : dAngle, x: g.x, y: g.y });
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function onPointerDown(e) {
+    if (!enabled || e.target !== canvas) return;
+    pointers.set(e.pointerId, {
+      x: e.clientX,
+      y: e.clientY,
+      startX: e.clientX,
+      startY: e.clientY,
+      t: e.timeStamp,
+      type: e.pointerType,
+    });
+
+    if (pointers.size === 1 && e.pointerType !== 'mouse' && (opts.claimsEdgeSwipe?.() ?? true)) {
+      const side = e.clientX <= EDGE_ZONE_PX ? 'left' : e.clientX >= window.innerWidth - EDGE_ZONE_PX ? 'right' : null;
+      if (side) {
+        edge = { id: e.pointerId, edge: side };
+        return;
+      }
+    }
+
+    if (pointers.size === 1) {
+      clearPress();
+      const id = e.pointerId;
+      press = {
+        id,
+        moved: false,
+        longPressed: false,
+        timer: setTimeout(() => {
+          if (!press || press.id !== id || press.moved) return;
+          press.longPressed = true;
+          const p = pointers.get(id);
+          emit({ type: 'longpress', x: p?.x, y: p?.y, pointerType: p?.type });
+        }, LONG_PRESS_MS),
+      };
+    } else if (pointers.size === 2) {
+      // Second finger: no tap / long-press from this press.
+      clearPress();
+      const g = twoFingerGeometry();
+      twoFinger = { dist: g.dist, angle: g.angle };
+      emitTwoFinger('start');
+    }
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function onPointerMove(e) {
+    const p = pointers.get(e.pointerId);
+    if (!p) return;
+    p.x = e.clientX;
+    p.y = e.clientY;
+
+    if (edge?.id === e.pointerId) {
+      e.stopImmediatePropagation();
+      return;
+    }
+    if (press?.id === e.pointerId && Math.hypot(p.x - p.startX, p.y - p.startY) > TAP_SLOP_PX) {
+      press.moved = true;
+      if (press.timer) clearTimeout(press.timer);
+      press.timer = null;
+    }
+    if (twoFinger && pointers.size >= 2) emitTwoFinger('change');
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function onPointerUp(e) {
+    const p = pointers.get(e.pointerId);
+    if (!p) return;
+    pointers.delete(e.pointerId);
+
+    if (edge?.id === e.pointerId) {
+      const inward = edge.edge === 'left' ? p.x - p.startX : p.startX - p.x;
+      const elapsed = e.timeStamp - p.t;
+      if (
+        e.type === 'pointerup' &&
+        inward >= EDGE_SWIPE_MIN_PX &&
+        Math.abs(p.y - p.startY) < inward * 0.6 &&
+        elapsed <= EDGE_SWIPE_MAX_MS
+      ) {
+        emit({ type: 'edgeswipe', edge: edge.edge, x: p.x, y: p.y, pointerType: p.type });
+      }
+      edge = null;
+      return;
+    }
+
+    if (twoFinger) {
+      if (pointers.size < 2) {
+        twoFinger = null;
+        emit({ type: 'pinch', phase: 'end', scale: 1 });
+        emit({ type: 'rotate', phase: 'end', angle: 0 });
+      }
+      return;
+    }
+
+    if (press?.id !== e.pointerId) return;
+    const isTap = e.type === 'pointerup' && !press.moved && !press.longPressed && e.timeStamp - p.t <= TAP_MAX_MS;
+    clearPress();
+    if (!isTap) return;
+
+    emit({ type: 'tap', x: p.x, y: p.y, pointerType: p.type });
+    if (e.timeStamp - lastTap.t <= DOUBLE_TAP_MS && Math.hypot(p.x - lastTap.x, p.y - lastTap.y) <= DOUBLE_TAP_DIST_PX) {
+      lastTap = { t: -Infinity, x: 0, y: 0 };
+      emit({ type: 'doubletap', x: p.x, y: p.y, pointerType: p.type });
+    } else {
+      lastTap = { t: e.timeStamp, x: p.x, y: p.y };
+    }
+  }
+
+  // Shake: count sign flips of the dominant acceleration axis while it is above the threshold.
+  let shakeSign = 0;
+  let shakeFlips = 0;
+  let shakeWindowStart = 0;
+  let lastShake = -Infinity;
+
+  /**
+   * @param {DeviceMotionEvent} e
+   */
+  function onDeviceMotion(e) {
+    if (!enabled) return;
+    const a = e.acceleration;
+    if (!a || a.x == null || a.y == null || a.z == null) return;
+    const now = e.timeStamp;
+    if (now - lastShake < SHAKE_COOLDOWN_MS) return;
+
+    const ax = Math.abs(a.x);
+    const ay = Math.abs(a.y);
+    const az = Math.abs(a.z);
+    const v = ax >= ay && ax >= az ? a.x : ay >= az ? a.y : a.z;
+    if (Math.abs(v) < SHAKE_ACCEL) return;
+
+    const sign = Math.sign(v);
+    if (now - shakeWindowStart > SHAKE_WINDOW_MS) {
+      shakeWindowStart = now;
+      shakeFlips = 0;
+      shakeSign = sign;
+      return;
+    }
+    if (sign !== shakeSign) {
+      shakeSign = sign;
+      shakeFlips++;
+      if (shakeFlips >= SHAKE_REVERSALS) {
+        lastShake = now;
+        shakeFlips = 0;
+        shakeWindowStart = 0;
+        emit({ type: 'shake' });
+      }
+    }
+  }
+
+  const capture = { capture: true, passive: true };
+  window.addEventListener('pointerdown', onPointerDown, capture);
+  window.addEventListener('pointermove', onPointerMove, capture);
+  window.addEventListener('pointerup', onPointerUp, capture);
+  window.addEventListener('pointercancel', onPointerUp, capture);
+  // iOS only delivers these after the motion permission prompt (motion.js asks for it).
+  window.addEventListener('devicemotion', onDeviceMotion, { passive: true });
+
+  /**
+   * Drop all in-progress gestures (page hidden, view switched).
+   */
+  function reset() {
+    clearPress();
+    pointers.clear();
+    edge = null;
+    twoFinger = null;
+    shakeFlips = 0;
+  }
+
+  /**
+   * @param {boolean} v
+   */
+  function setEnabled(v) {
+    enabled = !!v;
+    if (!enabled) reset();
+  }
+
+  function dispose() {
+    reset();
+    window.removeEventListener('pointerdown', onPointerDown, capture);
+    window.removeEventListener('pointermove', onPointerMove, capture);
+    window.removeEventListener('pointerup', onPointerUp, capture);
+    window.removeEventListener('pointercancel', onPointerUp, capture);
+    window.removeEventListener('devicemotion', onDeviceMotion);
+  }
+
+  return {
+    reset,
+    setEnabled,
+    dispose,
+  };
+}
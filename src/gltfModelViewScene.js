@@ -1,6 +1,11 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { formatVec3, parseVec3 } from './viewRoute.js';
+import { disposeObject3D } from './dispose.js';
+import { describeError } from './diagnostics.js';
+import { appEvents } from './appEvents.js';
+import { createAudioReactiveOptions } from './audioReactive.js';
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
@@ -12,8 +17,11 @@ const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
  * Put models in: /public/models/
  * Default URL:   /models/scene.gltf
  *
+ * Emits 'model:loaded' / 'model:error' when the load settles.
+ *
  * @param {import('three').WebGLRenderer} renderer
- * @param {{ modelUrl?: string }} [opts]
+ * @param {{ modelUrl?: string, onError?: (err: unknown) => void }} [opts]
+ *   `onError`: the model failed to load (the placeholder stays until the app reacts)
  */
 export function createGltfModelViewScene(renderer, opts = {}) {
   const modelUrl = opts.modelUrl ?? '/models/scene.gltf';
@@ -28,7 +36,8 @@ export function createGltfModelViewScene(renderer, opts = {}) {
   const hemi = new THREE.HemisphereLight(0xbfd7ff, 0x0b1020, 0.85);
   scene.add(hemi);
 
-  const dir = new THREE.DirectionalLight(0xffffff, 1.25);
+  const DIR_INTENSITY = 1.25;
+  const dir = new THREE.DirectionalLight(0xffffff, DIR_INTENSITY);
   dir.position.set(3, 6, 4);
   scene.add(dir);
 
@@ -60,6 +69,8 @@ export function createGltfModelViewScene(renderer, opts = {}) {
   const loader = new GLTFLoader();
   /** @type {THREE.Object3D | null} */
   let modelRoot = null;
+  // Set when a deep link restored the camera; framing on load must not override it.
+  let cameraFromUrl = false;
 
   /**
    * Frame the camera/controls around an object.
@@ -74,18 +85,20 @@ export function createGltfModelViewScene(renderer, opts = {}) {
     box.getSize(size);
     box.getCenter(center);
 
-    // Move the orbit target to the model center
-    controls.target.copy(center);
-
     // Compute a distance that fits the object in view
     const maxSize = Math.max(size.x, size.y, size.z);
     const fitOffset = 1.35;
     const fov = (camera.fov * Math.PI) / 180;
     const dist = (maxSize / (2 * Math.tan(fov / 2))) * fitOffset;
 
-    // Place camera in a nice diagonal direction
-    const dir = new THREE.Vector3(1, 0.6, 1).normalize();
-    camera.position.copy(center).addScaledVector(dir, dist);
+    if (!cameraFromUrl) {
+      // Move the orbit target to the model center
+      controls.target.copy(center);
+
+      // Place camera in a nice diagonal direction
+      const dir = new THREE.Vector3(1, 0.6, 1).normalize();
+      camera.position.copy(center).addScaledVector(dir, dist);
+    }
     camera.near = Math.max(0.001, dist / 1000);
     camera.far = Math.max(2000, dist * 20);
     camera.updateProjectionMatrix();
@@ -93,39 +106,87 @@ export function createGltfModelViewScene(renderer, opts = {}) {
     controls.update();
   }
 
+  let disposed = false;
+
+  // Settles once the model has loaded or failed (placeholder stays); used for reproducible captures.
+  /** @type {() => void} */
+  let markReady = () => {};
+  const ready = new Promise((resolve) => {
+    markReady = () => resolve(undefined);
+  });
+
   loader.load(
     modelUrl,
     (gltf) => {
+      // The view may have been released while the model was still downloading.
+      if (disposed) {
+        disposeObject3D(gltf.scene);
+        return;
+      }
+
       // Remove placeholder once a model is loaded
       scene.remove(placeholder);
+      disposeObject3D(placeholder);
 
       modelRoot = gltf.scene || gltf.scenes?.[0] || null;
-      if (!modelRoot) return;
+      if (!modelRoot) {
+        markReady();
+        return;
+      }
 
       scene.add(modelRoot);
+      appEvents.emit('model:loaded', { url: modelUrl });
 
       // If the model is huge/tiny, normalize a bit by framing
       frameObject(modelRoot);
+      markReady();
     },
     undefined,
-    () => {
+    (err) => {
       // Keep placeholder visible if the model isn't found yet
       modelRoot = null;
+      markReady();
+      if (disposed) return;
+      const reason = describeError(err).message;
+      appEvents.emit('model:error', { url: modelUrl, message: reason });
+      opts.onError?.(new Error(`Failed to load model at ${modelUrl}\n${reason}`));
     },
   );
 
+  // Music: the key light swells with the bass (lights the model and the placeholder alike).
+  const audio = createAudioReactiveOptions();
+
+  function getOptions() {
+    return [
+      { key: 'showGrid', label: 'Grid', type: 'toggle', default: true, value: grid.visible },
+      ...audio.getOptions(),
+    ];
+  }
+
+  /**
+   * @param {string} key
+   * @param {number | boolean} value
+   */
+  function setOption(key, value) {
+    if (audio.setOption(key, value)) return;
+    if (key === 'showGrid') grid.visible = !!value;
+  }
+
   function update(_dt) {
     controls.update();
+    dir.intensity = DIR_INTENSITY * (1 + 0.4 * audio.features.bass);
     if (!modelRoot) {
       placeholder.rotation.y += 0.6 * _dt;
       placeholder.rotation.x += 0.15 * _dt;
     }
   }
 
-  function resize(w, h, dpr) {
+  function resize(w, h, dpr, layout = {}) {
     camera.aspect = w / h;
     camera.updateProjectionMatrix();
-    renderer.setPixelRatio(clamp(dpr, 1, 2));
+    if (layout.offscreen) return;
+    // Lower bound < 1 so the low quality tier can render below native resolution.
+    renderer.setPixelRatio(clamp(dpr, 0.5, 2));
     renderer.setSize(w, h, false);
   }
 
@@ -137,6 +198,32 @@ export function createGltfModelViewScene(renderer, opts = {}) {
     controls.enabled = !!isActive;
   }
 
+  function dispose() {
+    disposed = true;
+    controls.dispose();
+    disposeObject3D(scene);
+  }
+
+  /**
+   * Serializable state for deep links: orbit camera position + target.
+   */
+  function getUrlState() {
+    return { cam: formatVec3(camera.position), target: formatVec3(controls.target) };
+  }
+
+  /**
+   * @param {Record<string, string>} state
+   */
+  function applyUrlState(state) {
+    const cam = parseVec3(state.cam);
+    const target = parseVec3(state.target);
+    if (!cam && !target) return;
+    if (cam) camera.position.fromArray(cam);
+    if (target) controls.target.fromArray(target);
+    cameraFromUrl = true;
+    controls.update();
+  }
+
   return {
     name: 'glTF Model',
     scene,
@@ -144,7 +231,17 @@ export function createGltfModelViewScene(renderer, opts = {}) {
     update,
     resize,
     setActive,
+    ready,
+    dispose,
+    getUrlState,
+    applyUrlState,
+    getOptions,
+    setOption,
+    setAudioFeatures: audio.apply,
     useMotion: false,
+    music: { url: '/sounds/Black_Hole_BG.wav', gain: 0.6 },
+    // OrbitControls dollies on two-finger pinch.
+    gestures: ['pinch'],
     modelUrl,
   };
 }
@@ -5,7 +5,54 @@
  * - Otherwise no-op
  *
  * Note: This does NOT provide true iPhone Taptic Engine support in pure web.
+ *
+ * Named patterns (`HAPTIC_PATTERNS`) are played by `createHapticPlayer()`. A pattern is a list
+ * of steps; each step drives the gamepad's two motors for `ms`, and becomes an on/off pair in
+ * the `navigator.vibrate()` sequence. Phone motors have no amplitude control, so the level
+ * (strongest motor x intensity) sets how much of the step the motor is on.
+ *
+ * @typedef {{ ms: number, strong?: number, weak?: number }} HapticStep
+ *   strong / weak: gamepad low / high frequency motor (0..1); both 0 or omitted is a gap
+ *
+ * @typedef {HapticStep[]} HapticPattern
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Shortest vibration most phones actually render.
+const MIN_VIBRATE_MS = 8;
+
+/**
+ * A rumble that swells and fades, in fixed steps.
+ * @param {{ attackMs: number, holdMs?: number, releaseMs: number, peak?: number, stepMs?: number }} env
+ * @returns {HapticPattern}
  */
+export function rumbleEnvelope({ attackMs, holdMs = 0, releaseMs, peak = 1, stepMs = 40 }) {
+  const total = attackMs + holdMs + releaseMs;
+  /** @type {HapticPattern} */
+  const steps = [];
+  for (let t = 0; t < total; t += stepMs) {
+    const mid = t + stepMs / 2;
+    let level = 1;
+    if (mid < attackMs) level = mid / attackMs;
+    else if (mid > attackMs + holdMs) level = 1 - (mid - attackMs - holdMs) / releaseMs;
+    level = clamp(level, 0, 1) * peak;
+    steps.push({ ms: Math.min(stepMs, total - t), strong: level, weak: level * 0.6 });
+  }
+  return steps;
+}
+
+/**
+ * Edit this map to add patterns; main.js maps app events to them.
+ * @type {Record<string, HapticPattern>}
+ */
+export const HAPTIC_PATTERNS = {
+  tick: [{ ms: 14, weak: 0.7 }],
+  doubleTap: [{ ms: 22, strong: 0.3, weak: 0.8 }, { ms: 70 }, { ms: 22, strong: 0.3, weak: 0.8 }],
+  // Lub-dub.
+  heartbeat: [{ ms: 45, strong: 0.9, weak: 0.3 }, { ms: 110 }, { ms: 35, strong: 0.6, weak: 0.2 }],
+  rumble: rumbleEnvelope({ attackMs: 160, holdMs: 120, releaseMs: 360, peak: 0.8 }),
+};
 
 /**
  * @param {number} ms
@@ -22,10 +69,7 @@ export function pulse(ms = 30) {
 
   // Gamepad rumble (best effort)
   try {
-    const pads = (typeof navigator !== 'undefined' && navigator.getGamepads?.()) || [];
-    const pad = Array.from(pads).find(
-      (p) => p && p.connected && p.vibrationActuator && typeof p.vibrationActuator.playEffect === 'function',
-    );
+    const pad = findRumblePad();
     if (!pad) return;
 
     // "dual-rumble" is supported by some controllers/browsers
@@ -39,3 +83,172 @@ export function pulse(ms = 30) {
   }
 }
 
+/**
+ * @returns {any} first connected gamepad with a rumble actuator, or null
+ */
+function findRumblePad() {
+  const pads = (typeof navigator !== 'undefined' && navigator.getGamepads?.()) || [];
+  return (
+    Array.from(pads).find(
+      (p) => p && p.connected && p.vibrationActuator && typeof p.vibrationActuator.playEffect === 'function',
+    ) ?? null
+  );
+}
+
+/**
+ * @param {HapticPattern} pattern
+ * @param {number} intensity
+ * @returns {number[]} `navigator.vibrate()` on/off sequence (starts with "on")
+ */
+function toVibrateSequence(pattern, intensity) {
+  /** @type {number[]} */
+  const seq = [0];
+  const push = (on, ms) => {
+    if (ms <= 0) return;
+    const wantOn = seq.length % 2 === 1;
+    if (on === wantOn) seq[seq.length - 1] += ms;
+    else seq.push(ms);
+  };
+  for (const step of pattern) {
+    const level = Math.max(step.strong ?? 0, step.weak ?? 0) * intensity;
+    const on = level > 0.05 ? Math.min(step.ms, Math.max(MIN_VIBRATE_MS, Math.round(step.ms * level))) : 0;
+    push(true, on);
+    push(false, step.ms - on);
+  }
+  // A trailing gap means nothing to vibrate().
+  if (seq.length % 2 === 0) seq.pop();
+  return seq.map((v) => Math.round(v));
+}
+
+/**
+ * Plays named patterns on the phone motor and/or a gamepad.
+ *
+ * - `play(name)`: one-shot; replaces whatever is playing
+ * - `beat(name)`: a beat of a continuous pattern (e.g. once per Pulsar pulse); skipped while a
+ *   one-shot is still playing so the two never cut each other up
+ * - `cancel()`: stop now (view switches, app paused)
+ *
+ * @param {{ intensity?: number }} [opts]
+ *   intensity: 0 (off) .. 1 (default 1)
+ */
+export function createHapticPlayer(opts = {}) {
+  let intensity = clamp(opts.intensity ?? 1, 0, 1);
+  /** @type {ReturnType<typeof setTimeout>[]} */
+  let timers = [];
+  let oneShotUntil = 0;
+  let active = false;
+
+  const canVibrate = () =>
+    typeof navigator !== 'undefined' &&
+    typeof navigator.vibrate === 'function' &&
+    // Without a prior tap the browser blocks vibrate() and logs a warning each call.
+    navigator.userActivation?.hasBeenActive !== false;
+
+  /**
+   * @param {HapticPattern} pattern
+   */
+  function start(pattern) {
+    clearTimers();
+    active = true;
+
+    try {
+      if (canVibrate()) navigator.vibrate(toVibrateSequence(pattern, intensity));
+    } catch {
+      // ignore
+    }
+
+    const pad = findRumblePad();
+    if (!pad) return;
+    let at = 0;
+    for (const step of pattern) {
+      const strong = clamp((step.strong ?? 0) * intensity, 0, 1);
+      const weak = clamp((step.weak ?? 0) * intensity, 0, 1);
+      if (strong > 0 || weak > 0) {
+        const effect = { duration: step.ms, strongMagnitude: strong, weakMagnitude: weak };
+        const fire = () => {
+          try {
+            pad.vibrationActuator.playEffect('dual-rumble', effect).catch(() => {});
+          } catch {
+            // ignore
+          }
+        };
+        if (at === 0) fire();
+        else timers.push(setTimeout(fire, at));
+      }
+      at += step.ms;
+    }
+  }
+
+  function clearTimers() {
+    for (const t of timers) clearTimeout(t);
+    timers = [];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {HapticPattern | null}
+   */
+  function lookup(name) {
+    return intensity > 0 ? (HAPTIC_PATTERNS[name] ?? null) : null;
+  }
+
+  /**
+   * @param {HapticPattern} pattern
+   */
+  const durationOf = (pattern) => pattern.reduce((sum, s) => sum + s.ms, 0);
+
+  /**
+   * @param {string} name - key of HAPTIC_PATTERNS
+   */
+  function play(name) {
+    const pattern = lookup(name);
+    if (!pattern) return;
+    oneShotUntil = performance.now() + durationOf(pattern);
+    start(pattern);
+  }
+
+  /**
+   * @param {string} name - key of HAPTIC_PATTERNS
+   */
+  function beat(name) {
+    const pattern = lookup(name);
+    if (!pattern || performance.now() < oneShotUntil) return;
+    start(pattern);
+  }
+
+  function cancel() {
+    clearTimers();
+    oneShotUntil = 0;
+    if (!active) return;
+    active = false;
+    try {
+      if (canVibrate()) navigator.vibrate(0);
+    } catch {
+      // ignore
+    }
+    try {
+      const actuator = findRumblePad()?.vibrationActuator;
+      actuator?.reset?.().catch(() => {});
+    } catch {
+      // ignore
+    }
+  }
+
+  /**
+   * @param {number} v - 0 turns haptics off (and stops anything playing)
+   */
+  function setIntensity(v) {
+    intensity = clamp(Number(v) || 0, 0, 1);
+    if (intensity === 0) cancel();
+  }
+
+  return {
+    play,
+    beat,
+    cancel,
+    setIntensity,
+    get intensity() {
+      return intensity;
+    },
+  };
+}
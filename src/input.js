@@ -0,0 +1,225 @@
+/**
+ * Keyboard + gamepad input mapping
+ *
+ * Maps physical inputs to app actions:
+ * - discrete actions ('view:prev', 'view:next', 'recenter', 'hud:toggle', 'capture:*', 'stereo:toggle') fire once per press
+ * - look input (WASD / sticks) produces yaw/pitch deltas, fed to the motion controller
+ *
+ * Gamepad indices follow the W3C "standard" mapping (Xbox layout):
+ *   0 A, 1 B, 2 X, 3 Y, 4 LB, 5 RB, 6 LT, 7 RT, 8 View, 9 Menu, 10 LS, 11 RS, 12-15 D-pad ↑↓←→
+ *   axes: 0/1 left stick, 2/3 right stick
+ *
+ * @typedef {'view:prev' | 'view:next' | 'recenter' | 'hud:toggle' | 'capture:png' | 'capture:clip' | 'stereo:toggle'} InputAction
+ * @typedef {'look:left' | 'look:right' | 'look:up' | 'look:down'} LookAction
+ *
+ * @typedef {{
+ *  keys: Record<string, InputAction | LookAction>,
+ *  buttons: Record<number, InputAction>,
+ *  lookAxes: [number, number][],
+ *  deadZone: number,
+ *  lookSpeed: number,
+ * }} InputBindings
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/** @type {InputBindings} */
+export const DEFAULT_INPUT_BINDINGS = {
+  // KeyboardEvent.code (layout independent) or KeyboardEvent.key for function keys.
+  keys: {
+    ArrowLeft: 'view:prev',
+    ArrowRight: 'view:next',
+    KeyW: 'look:up',
+    KeyS: 'look:down',
+    KeyA: 'look:left',
+    KeyD: 'look:right',
+    KeyC: 'recenter',
+    F8: 'hud:toggle',
+    KeyP: 'capture:png',
+    KeyR: 'capture:clip',
+    KeyV: 'stereo:toggle',
+  },
+  buttons: {
+    4: 'view:prev', // LB
+    5: 'view:next', // RB
+    14: 'view:prev', // D-pad left
+    15: 'view:next', // D-pad right
+    3: 'recenter', // Y
+    2: 'stereo:toggle', // X
+    9: 'hud:toggle', // Menu
+  },
+  // Either stick looks around; right stick first so it wins when both are used.
+  lookAxes: [
+    [2, 3],
+    [0, 1],
+  ],
+  deadZone: 0.15,
+  lookSpeed: 1.8, // rad/sec at full deflection / key held
+};
+
+/**
+ * @param {EventTarget | null} target
+ */
+function isTextInput(target) {
+  const el = /** @type {HTMLElement | null} */ (target);
+  if (!el || !el.tagName) return false;
+  return el.isContentEditable || el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT';
+}
+
+/**
+ * Ctrl / Cmd / Alt combos are browser shortcuts (reload, print, copy, history); leave them alone.
+ * @param {KeyboardEvent} e
+ */
+const hasModifier = (e) => e.ctrlKey || e.metaKey || e.altKey;
+
+/**
+ * Rescale a stick axis so the dead zone edge maps to 0 and full deflection to 1.
+ * @param {number} v
+ * @param {number} deadZone
+ */
+function applyDeadZone(v, deadZone) {
+  const a = Math.abs(v);
+  if (a <= deadZone) return 0;
+  return Math.sign(v) * clamp((a - deadZone) / (1 - deadZone), 0, 1);
+}
+
+/**
+ * @param {{
+ *  bindings?: Partial<InputBindings>,
+ *  onAction: (action: InputAction) => void,
+ *  onLook: (dYaw: number, dPitch: number) => void,
+ * }} opts
+ *   `onLook` deltas are in camera rotation terms (radians): +yaw turns left, +pitch looks up.
+ */
+export function createInputController(opts) {
+  /** @type {InputBindings} */
+  let bindings = { ...DEFAULT_INPUT_BINDINGS, ...(opts.bindings || {}) };
+
+  /** @type {Set<LookAction>} */
+  const heldLook = new Set();
+  // Previous pressed state per gamepad index -> button index.
+  /** @type {Map<number, boolean[]>} */
+  const prevButtons = new Map();
+
+  function lookupKey(e) {
+    return bindings.keys[e.code] ?? bindings.keys[e.key] ?? null;
+  }
+
+  function onKeyDown(e) {
+    if (isTextInput(e.target)) return;
+    if (hasModifier(e)) {
+      // The matching keyup will carry the modifier too: don't leave a look key held.
+      heldLook.clear();
+      return;
+    }
+    const action = lookupKey(e);
+    if (!action) return;
+    e.preventDefault();
+
+    if (action.startsWith('look:')) {
+      heldLook.add(/** @type {LookAction} */ (action));
+      return;
+    }
+    if (e.repeat) return;
+    opts.onAction(/** @type {InputAction} */ (action));
+  }
+
+  function onKeyUp(e) {
+    if (hasModifier(e)) return;
+    const action = lookupKey(e);
+    if (action && action.startsWith('look:')) heldLook.delete(/** @type {LookAction} */ (action));
+  }
+
+  function onBlur() {
+    // Keys released while the window is unfocused never deliver keyup.
+    heldLook.clear();
+  }
+
+  window.addEventListener('keydown', onKeyDown, { passive: false });
+  window.addEventListener('keyup', onKeyUp, { passive: true });
+  window.addEventListener('blur', onBlur, { passive: true });
+
+  /**
+   * Fires button actions and returns stick look rates in [-1, 1] (+right, +up).
+   */
+  function pollGamepads() {
+    const pads = (typeof navigator !== 'undefined' && navigator.getGamepads?.()) || [];
+    let right = 0;
+    let up = 0;
+
+    for (const pad of Array.from(pads)) {
+      if (!pad || !pad.connected) continue;
+
+      // Buttons: fire on the press edge only.
+      const prev = prevButtons.get(pad.index) || [];
+      const now = pad.buttons.map((b) => !!b?.pressed);
+      for (const [idx, action] of Object.entries(bindings.buttons)) {
+        const i = Number(idx);
+        if (now[i] && !prev[i]) opts.onAction(action);
+      }
+      prevButtons.set(pad.index, now);
+
+      // Sticks: the first stick outside the dead zone drives look.
+      if (right === 0 && up === 0) {
+        for (const [ax, ay] of bindings.lookAxes) {
+          const x = applyDeadZone(pad.axes[ax] ?? 0, bindings.deadZone);
+          const y = applyDeadZone(pad.axes[ay] ?? 0, bindings.deadZone);
+          if (x === 0 && y === 0) continue;
+          // Gamepad y axis points down; pushing the stick up looks up.
+          right = x;
+          up = -y;
+          break;
+        }
+      }
+    }
+
+    return { right, up };
+  }
+
+  /**
+   * Poll gamepads and apply held look input. Call once per frame.
+   * @param {number} dt
+   */
+  function update(dt) {
+    let { right, up } = pollGamepads();
+
+    if (heldLook.has('look:left')) right -= 1;
+    if (heldLook.has('look:right')) right += 1;
+    if (heldLook.has('look:up')) up += 1;
+    if (heldLook.has('look:down')) up -= 1;
+
+    right = clamp(right, -1, 1);
+    up = clamp(up, -1, 1);
+    if (right === 0 && up === 0) return;
+
+    // Turning right is a negative rotation about +Y.
+    const k = bindings.lookSpeed * dt;
+    opts.onLook(-right * k, up * k);
+  }
+
+  /**
+   * Replace part of the binding map (e.g. from user settings).
+   * @param {Partial<InputBindings>} next
+   */
+  function setBindings(next) {
+    bindings = { ...bindings, ...next };
+    heldLook.clear();
+  }
+
+  function dispose() {
+    window.removeEventListener('keydown', onKeyDown);
+    window.removeEventListener('keyup', onKeyUp);
+    window.removeEventListener('blur', onBlur);
+    heldLook.clear();
+    prevButtons.clear();
+  }
+
+  return {
+    update,
+    setBindings,
+    dispose,
+    get bindings() {
+      return bindings;
+    },
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * App lifecycle (Page Visibility + Page Lifecycle APIs)
+ *
+ * Collapses the browser's overlapping signals into one paused/running state:
+ * - pause:  `visibilitychange` (hidden), `pagehide`, `freeze`
+ * - resume: `visibilitychange` (visible), `pageshow`, `resume`
+ *
+ * Handlers run once per transition, however many of the events fire
+ * (a tab switch on Chrome can deliver visibilitychange + freeze, iOS may send pagehide first).
+ *
+ * @typedef {'hidden' | 'pagehide' | 'freeze'} PauseReason
+ * @typedef {'visible' | 'pageshow' | 'resume'} ResumeReason
+ */
+
+/**
+ * @param {{
+ *  onPause: (reason: PauseReason) => void,
+ *  onResume: (reason: ResumeReason, pausedMs: number) => void,
+ * }} opts
+ */
+export function createAppLifecycle(opts) {
+  let paused = false;
+  let pausedAt = 0;
+
+  /**
+   * @param {PauseReason} reason
+   */
+  function pause(reason) {
+    if (paused) return;
+    paused = true;
+    pausedAt = performance.now();
+    opts.onPause(reason);
+  }
+
+  /**
+   * @param {ResumeReason} reason
+   */
+  function resume(reason) {
+    if (!paused) return;
+    // `pageshow` / `resume` can arrive while the tab is still hidden (prerender, bfcache restore).
+    if (document.visibilityState === 'hidden') return;
+    paused = false;
+    opts.onResume(reason, performance.now() - pausedAt);
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') pause('hidden');
+    else resume('visible');
+  }
+  const onPageHide = () => pause('pagehide');
+  const onPageShow = () => resume('pageshow');
+  const onFreeze = () => pause('freeze');
+  const onResumeEvent = () => resume('resume');
+
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('pagehide', onPageHide);
+  window.addEventListener('pageshow', onPageShow);
+  // Page Lifecycle API (Chromium); harmless no-ops elsewhere.
+  document.addEventListener('freeze', onFreeze);
+  document.addEventListener('resume', onResumeEvent);
+
+  // Loaded in a background tab: start paused.
+  if (document.visibilityState === 'hidden') pause('hidden');
+
+  function dispose() {
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('pagehide', onPageHide);
+    window.removeEventListener('pageshow', onPageShow);
+    document.removeEventListener('freeze', onFreeze);
+    document.removeEventListener('resume', onResumeEvent);
+  }
+
+  return {
+    dispose,
+    get paused() {
+      return paused;
+    },
+  };
+}
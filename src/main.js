@@ -5,10 +5,49 @@
  *   npm install
  *   npm run dev
  *
+ * Deep links:
+ * - `#/<view-id>?<state>` opens a view directly, e.g. `#/black-hole-2?rs=140`.
+ * - View ids: earth, gltf-model, black-hole, pulsar, black-hole-2.
+ * - Back/Forward move between previously visited views.
+ * - `?transition=crossfade|warp|radial` forces one view transition effect.
+ * - `?quality=low|medium|high|ultra` locks a quality tier (default: adaptive).
+ * - `?debugEvents` logs every app event (see `src/appEvents.js`) to the console.
+ *
+ * Deterministic mode (visual regression):
+ * - `?seed=42` seeds all view randomness; `?fixedDt=0.016` advances every frame by exactly that step.
+ * - Quality is locked (`high` unless `?quality=` says otherwise).
+ * - `await window.geometryDrift.renderAt('black-hole', 2.5)` rebuilds the view from the seed,
+ *   simulates to t = 2.5 s, draws it, pauses the loop and returns a PNG data URL.
+ *   `window.geometryDrift.resume()` restarts the loop.
+ *
+ * Motion record / replay (debugging gyro look without a phone):
+ * - Settings → Motion → Record captures raw sensor + touch input; Stop & save downloads it as JSON.
+ * - Load replay… (or `?motionReplay=<url>`, optionally `&motionReplaySpeed=4`) feeds a recording
+ *   back through the same input path.
+ *
+ * Real sky: Settings → Sky → Align to real sky rotates the constellations to match where you
+ * point the phone (compass heading + local sidereal time from the device clock). Enter latitude /
+ * longitude or tap Use my location; without a compass, the initial view direction counts as north.
+ *
+ * Keyboard / gamepad (see `src/input.js` for the full map):
+ * - ←/→ or LB/RB: previous/next view
+ * - WASD or either stick: look around (motion views)
+ * - C or Y: recenter; F8 or Menu: toggle HUD
+ * - P: save a PNG of the current view; R: record / stop a WebM clip (size + length in Settings)
+ * - V or X (gamepad): toggle stereo split-screen for headset viewers (motion views; eye separation
+ *   and lens distortion in Settings → Display). In a viewer, look straight down for ~1 s and back up
+ *   to recenter.
+ * - Mouse look: enable Settings → Motion → Mouse look, click the canvas to lock the pointer, Esc releases
+ * - Wheel / trackpad pinch (or two-finger pinch on touch screens): zoom (camera FOV) in motion views
+ *
  * iPhone Safari testing notes:
  * - Motion sensors require HTTPS (or localhost) and a user gesture.
  * - Tap **Enable Motion** once; we do not auto-request permission or spam prompts.
- * - Web haptics are limited on iOS; `navigator.vibrate()` may be unavailable.
+ * - Drag to nudge the view (on top of the gyro when motion is on); double-tap to recenter.
+ * - Swipe in from the screen edge to change view; long-press toggles the HUD; shake to recenter.
+ *   Views list the gestures they handle themselves in `view.gestures` (see `src/gestures.js`).
+ * - Web haptics are limited on iOS; `navigator.vibrate()` may be unavailable (gamepad rumble
+ *   still works). Settings → Haptics turns them down or off.
  */
 
 import './style.css';
@@ -18,8 +57,31 @@ import { createBlackHole2ViewScene } from './blackHole2ViewScene.js';
 import { createGltfModelViewScene } from './gltfModelViewScene.js';
 import { createEarthViewScene } from './earthViewScene.js';
 import { createMotionController } from './motion.js';
-import { createRenderer } from './renderer.js';
+import { createInputController } from './input.js';
+import { createRenderer, renderView } from './renderer.js';
 import { createSoundController } from './soundController.js';
+import { createSpatialAudio } from './spatialAudio.js';
+import { createHapticPlayer } from './haptics.js';
+import { appEvents } from './appEvents.js';
+import { createEventLog, createHapticsSink, createSoundSink, createToastSink } from './eventSinks.js';
+import { createToast } from './toast.js';
+import { silentFeatures } from './audioReactive.js';
+import { createViewTransitions, TRANSITION_EFFECTS } from './transitions.js';
+import { createSettingsStore } from './settings.js';
+import { createSettingsPanel } from './settingsPanel.js';
+import { createViewRegistry } from './viewRegistry.js';
+import { createViewHistory } from './viewRoute.js';
+import { createQualityManager, QUALITY_TIERS } from './quality.js';
+import { createAppLifecycle } from './lifecycle.js';
+import { createAppClock } from './clock.js';
+import { setRandomSeed } from './random.js';
+import { createDiagnostics } from './diagnostics.js';
+import { createErrorViewScene } from './errorViewScene.js';
+import { CAPTURE_SIZES, captureFilename, captureViewPng, createClipRecorder, downloadBlob } from './capture.js';
+import { parseMotionRecording } from './motionReplay.js';
+import { createStereoRenderer } from './stereo.js';
+import { createSkyAlignment, requestGeolocation } from './sky.js';
+import { createGestureRecognizer } from './gestures.js';
 
 // ----------------------------
 // DOM
@@ -33,56 +95,338 @@ const hud = /** @type {HTMLDivElement} */ (document.getElementById('hud'));
 // ----------------------------
 // Modules
 // ----------------------------
+const searchParams = new URLSearchParams(location.search);
+
+// Deterministic mode: seed before any view is built (starfields draw from the shared RNG).
+const seedParam = searchParams.has('seed') ? Number(searchParams.get('seed')) : null;
+const fixedDtParam = Number(searchParams.get('fixedDt'));
+const deterministic = Number.isFinite(seedParam) || fixedDtParam > 0;
+setRandomSeed(Number.isFinite(seedParam) ? seedParam : null);
+const clock = createAppClock({ fixedDt: fixedDtParam > 0 ? fixedDtParam : null });
+
+// Loaded first so every module starts with the user's values, before the first frame.
+const settings = createSettingsStore();
+
 const { renderer } = createRenderer(canvas);
+
+// Errors from views and the page; exported from Settings → Diagnostics.
+const diagnostics = createDiagnostics({
+  getEnvironment: () => {
+    const gl = renderer.getContext();
+    const info = gl.getExtension('WEBGL_debug_renderer_info');
+    return {
+      webgl: renderer.capabilities.isWebGL2 ? 2 : 1,
+      gpu: info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
+      devicePixelRatio: window.devicePixelRatio,
+      viewport: [window.innerWidth, window.innerHeight],
+      quality: quality.tier.name,
+      view: views.idAt(viewIdx),
+      recentEvents: eventLog.entries.slice(-50).map((e) => ({ type: e.type, detail: e.detail, t: Math.round(e.time) })),
+    };
+  },
+});
+window.addEventListener('error', (e) => diagnostics.report({ source: 'page', phase: 'page', error: e.error ?? e.message }));
+window.addEventListener('unhandledrejection', (e) => diagnostics.report({ source: 'page', phase: 'page', error: e.reason }));
+
+// Three logs shader compile errors and keeps going (black output); throw instead so the
+// render boundary below swaps in an error card that shows the log. Our own passes (view
+// transitions, the stereo composite) catch it themselves and fall back instead.
+renderer.debug.onShaderError = (gl, program, vs, fs) => {
+  const logs = [
+    ['Vertex', gl.getShaderInfoLog(vs)],
+    ['Fragment', gl.getShaderInfoLog(fs)],
+    ['Program', gl.getProgramInfoLog(program)],
+  ]
+    .filter(([, log]) => log && log.trim())
+    .map(([kind, log]) => `${kind}: ${String(log).trim()}`);
+  throw new Error(`Shader failed to compile\n${logs.join('\n') || 'No driver log'}`);
+};
 const motion = createMotionController(canvas);
-const sounds = createSoundController({ volume: 0.8 });
+const sounds = createSoundController({
+  volume: settings.values.audio.master,
+  sfxVolume: settings.values.audio.sfx,
+  musicVolume: settings.values.audio.music,
+  ambienceVolume: settings.values.audio.ambience,
+  enabled: !settings.values.audio.muted,
+});
+const silentMusic = silentFeatures();
+// Looping sounds anchored in the views (sun, black hole); the listener follows the camera.
+const spatial = createSpatialAudio(sounds);
+const haptics = createHapticPlayer({ intensity: hapticIntensity(settings.values) });
 
-// ----------------------------
-// Launch background music (looped)
-// ----------------------------
-const launchBgm = new Audio('/sounds/Black_Hole_BG.wav');
-launchBgm.loop = true;
-launchBgm.preload = 'auto';
-launchBgm.volume = 0.6;
-let launchBgmTried = false;
+// App events (appEvents.js) -> feedback. Subscribed before any view is built so nothing is
+// missed; `?debugEvents` echoes every event to the console.
+createSoundSink(appEvents, sounds);
+createHapticsSink(appEvents, haptics);
+createToastSink(appEvents, createToast(hud));
+const eventLog = createEventLog(appEvents, { print: searchParams.has('debugEvents') });
+// `?transition=crossfade|warp|radial` forces one effect (overrides the setting).
+const transitionParam = searchParams.get('transition');
+const transitions = createViewTransitions(renderer, { effect: transitionParam ?? undefined });
 
-async function tryStartLaunchBgm() {
-  if (launchBgmTried) return;
-  launchBgmTried = true;
+// Side-by-side stereo for headset viewers; only motion views (the gyro does the head tracking).
+const stereo = createStereoRenderer(renderer, {
+  eyeSeparationMm: settings.values.display.eyeSeparationMm,
+  distortion: settings.values.display.lensDistortion,
+});
+// Set when the stereo composite shader fails: the app carries on in mono for this session.
+let stereoFailed = false;
+/**
+ * @param {View} view
+ */
+const usesStereo = (view) => settings.values.display.stereo && !stereoFailed && view.useMotion !== false;
+
+/**
+ * Mono or stereo, depending on the view and the setting. Throws what the view throws; a
+ * failing stereo composite is ours, not the view's, so it falls back to mono instead.
+ * @param {View} view
+ * @param {number} tMs
+ * @param {any} [target]
+ */
+function renderFrame(view, tMs, target = null) {
+  if (!usesStereo(view)) {
+    renderView(renderer, view, tMs, target);
+    return;
+  }
+  stereo.drawEyes(view, tMs, target);
   try {
-    await launchBgm.play();
-  } catch {
-    // Autoplay is often blocked until the first user gesture (mobile Safari/Chrome).
-    // We'll retry in the pointerdown handler below.
-    launchBgmTried = false;
+    stereo.composite(target);
+  } catch (error) {
+    renderer.resetState();
+    renderer.setRenderTarget(null);
+    stereoFailed = true;
+    stereo.releaseTargets();
+    diagnostics.report({ source: 'stereo', phase: 'render', error });
+    onResize();
+    renderView(renderer, view, tMs, target);
   }
 }
 
+// Adaptive quality: steps pixel ratio / star counts / offscreen resolution with frame time.
+// `?quality=<tier>` locks a tier (overrides the setting); deterministic runs can't adapt to timing.
+const qualityLock = searchParams.get('quality') ?? (deterministic ? 'high' : null);
+const quality = createQualityManager({
+  initialTier: qualityLock ?? undefined,
+  onChange: (tier, reason) => {
+    views.ids.forEach((_, i) => views.peek(i)?.setQuality?.(tier));
+    onResize();
+    appEvents.emit('quality:changed', { tier: tier.name, reason });
+  },
+});
+if (qualityLock) quality.setMode(qualityLock);
+
 // ----------------------------
 // Scenes (Views)
 // ----------------------------
-/** @typedef {{name: string, scene: any, camera: any, update: (dt:number)=>void, resize: (w:number,h:number,dpr:number)=>void, render?: (tMs:number)=>void, setActive?: (isActive:boolean)=>void, onUserGesture?: ()=>void, useMotion?: boolean}} View */
+/**
+ * @typedef {{
+ *  name: string,
+ *  scene: any,
+ *  camera: any,
+ *  update: (dt:number)=>void,
+ *  resize: (w:number,h:number,dpr:number,layout?:{offscreen?:boolean})=>void,
+ *  render?: (tMs:number, target?: any, eye?: import('./stereo.js').StereoEye)=>void,
+ *  setActive?: (isActive:boolean)=>void,
+ *  onUserGesture?: ()=>void,
+ *  music?: import('./soundController.js').TrackSpec,
+ *  ambience?: import('./soundController.js').TrackSpec,
+ *  audioAnchors?: import('./spatialAudio.js').AudioAnchor[],
+ *  setAudioFeatures?: (f: import('./audioReactive.js').AudioFeatures)=>void,
+ *  useMotion?: boolean,
+ *  transitionIn?: string,
+ *  getUrlState?: ()=>Record<string, string|number>,
+ *  applyUrlState?: (state: Record<string, string>)=>void,
+ *  dispose?: ()=>void,
+ *  ready?: Promise<void>,
+ *  setQuality?: (tier: import('./quality.js').QualityTier)=>void,
+ *  setSkyOrientation?: (q: import('three').Quaternion | null)=>void,
+ *  gestures?: import('./gestures.js').GestureType[],
+ *  onGesture?: (g: import('./gestures.js').Gesture)=>void,
+ * }} View
+ */
 
-/** @type {View} */
-const blackHoleView = createBlackHoleViewScene(renderer);
-/** @type {View} */
-const pulsarView = createPulsarViewScene(renderer);
-/** @type {View} */
-const blackHole2View = createBlackHole2ViewScene(renderer);
-/** @type {View} */
-const gltfModelView = createGltfModelViewScene(renderer, { modelUrl: '/models/scene.gltf' });
-/** @type {View} */
-const earthView = createEarthViewScene(renderer, {
-  modelUrl: '/models/earth/scene.gltf',
-  musicUrl: '/Music/Earth_Background.mp3',
-});
+// Views are built on first visit and released (LRU) once live views exceed this budget.
+// Rough per-view estimates below; override with `?memBudget=<MB>` for testing.
+const DEFAULT_VIEW_MEMORY_BUDGET_MB = 48;
+const memBudgetParam = Number(searchParams.get('memBudget'));
+
+// Prev/Next order; ids are stable and used in deep links (`#/black-hole-2?rs=140`).
+// Every factory goes through `guardCreate`: a view that throws while building becomes an error card.
+const views = createViewRegistry(
+  [
+    {
+      id: 'earth',
+      // glTF + fallback canvases (3 x 1024x512) + 9000 stars
+      costMB: 24,
+      create: guardCreate('earth', () =>
+        createEarthViewScene(renderer, {
+          modelUrl: '/models/earth/scene.gltf',
+          musicUrl: '/Music/Earth_Background.mp3',
+          // The procedural Earth covers for a missing model; just record it.
+          onError: (err) => diagnostics.report({ source: 'earth', phase: 'load', error: err, level: 'warning' }),
+        }),
+      ),
+    },
+    {
+      id: 'gltf-model',
+      costMB: 16,
+      create: guardCreate('gltf-model', () => {
+        const view = createGltfModelViewScene(renderer, {
+          modelUrl: '/models/scene.gltf',
+          // Nothing to show without the model: replace the view (if it's still this instance).
+          onError: (err) => {
+            const idx = views.indexOf('gltf-model');
+            if (views.peek(idx) === view) failView(idx, 'load', err);
+          },
+        });
+        return view;
+      }),
+    },
+    // Half-float full-screen render target
+    { id: 'black-hole', costMB: 12, create: guardCreate('black-hole', () => createBlackHoleViewScene(renderer)) },
+    { id: 'pulsar', costMB: 4, create: guardCreate('pulsar', () => createPulsarViewScene(renderer)) },
+    // One program + one quad buffer
+    { id: 'black-hole-2', costMB: 1, create: guardCreate('black-hole-2', () => createBlackHole2ViewScene(renderer)) },
+  ],
+  {
+    budgetMB: memBudgetParam > 0 ? memBudgetParam : DEFAULT_VIEW_MEMORY_BUDGET_MB,
+    onCreate: (id, view) => {
+      applyViewOptions(id, view);
+      view.setQuality?.(quality.tier);
+    },
+  },
+);
+
+// ----------------------------
+// View error boundary (create / update / render / asset load)
+// ----------------------------
+const FAILED_PHASE_TEXT = { create: 'build', update: 'update', render: 'render', load: 'load' };
+
+/**
+ * @param {string} id
+ * @param {'create' | 'update' | 'render' | 'load'} phase
+ * @param {unknown} err
+ * @returns {View}
+ */
+function createErrorCard(id, phase, err) {
+  const entry = diagnostics.report({ source: id, phase, error: err });
+  return createErrorViewScene(renderer, {
+    title: `"${id}" failed to ${FAILED_PHASE_TEXT[phase]}`,
+    message: entry.message,
+    detail: entry.detail,
+    onSkip: goNext,
+  });
+}
+
+/**
+ * @param {string} id
+ * @param {() => View} create
+ * @returns {() => View}
+ */
+function guardCreate(id, create) {
+  return () => {
+    try {
+      return create();
+    } catch (err) {
+      return createErrorCard(id, 'create', err);
+    }
+  };
+}
 
-/** @type {View[]} */
-const views = [earthView, gltfModelView, blackHoleView, pulsarView, blackHole2View];
+/**
+ * Swap a broken view for an error card. If it is on screen, show the card right away.
+ * Releasing the card later (memory budget) means the real view is retried on the next visit.
+ * @param {number} idx
+ * @param {'update' | 'render' | 'load'} phase
+ * @param {unknown} err
+ */
+function failView(idx, phase, err) {
+  const i = views.wrap(idx);
+  const card = createErrorCard(views.idAt(i), phase, err);
+  if (transitions.fromView === views.peek(i) || i === viewIdx) transitions.cancel();
+  views.replace(i, card);
+  if (i !== viewIdx) return;
 
-let viewIdx = 0; // default: Earth
+  activeView = card;
+  sceneLabel.textContent = card.name;
+  spatial.setView(card);
+  motion.setActive(false);
+  if (!uiEverToggledByUser) applyUiHidden(false);
+  onResize();
+  settingsPanel.refresh();
+}
+
+/**
+ * @param {View} view
+ * @returns {number} registry index of a live view, or -1
+ */
+function indexOfView(view) {
+  for (let i = 0; i < views.size; i++) if (views.peek(i) === view) return i;
+  return -1;
+}
+
+// Set when a transition shader fails: views switch instantly for the rest of the session.
+let transitionsFailed = false;
+
+/**
+ * @param {unknown} error
+ */
+function failTransitions(error) {
+  renderer.resetState();
+  renderer.setRenderTarget(null);
+  transitionsFailed = true;
+  transitions.setEnabled(false);
+  diagnostics.report({ source: 'transitions', phase: 'render', error });
+}
+
+/**
+ * Draw a view; a throw replaces it with an error card instead of blanking the app.
+ * @param {View} view
+ * @param {number} tMs
+ * @param {any} [target]
+ */
+function drawView(view, tMs, target = null) {
+  try {
+    renderFrame(view, tMs, target);
+  } catch (err) {
+    // Leave Three/GL in a known state for whatever draws next.
+    renderer.resetState();
+    renderer.setRenderTarget(null);
+    const idx = indexOfView(view);
+    if (idx >= 0) failView(idx, 'render', err);
+  }
+}
+
+/**
+ * @param {View} view
+ * @param {number} dt
+ */
+function updateView(view, dt) {
+  try {
+    view.update(dt);
+  } catch (err) {
+    const idx = indexOfView(view);
+    if (idx >= 0) failView(idx, 'update', err);
+  }
+}
+
+const viewHistory = createViewHistory({
+  onNavigate: (route) => {
+    const idx = views.indexOf(route.id);
+    if (idx < 0) return;
+    if (idx !== viewIdx) setView(idx, { history: 'none' });
+    activeView.applyUrlState?.(route.state);
+  },
+});
+
+// Boot into the deep-linked view if the URL names one (default: Earth).
+const initialRoute = viewHistory.read();
+let viewIdx = Math.max(0, initialRoute ? views.indexOf(initialRoute.id) : 0);
 /** @type {View} */
-let activeView = views[viewIdx];
+let activeView = views.get(viewIdx);
+if (initialRoute && views.indexOf(initialRoute.id) === viewIdx) {
+  activeView.applyUrlState?.(initialRoute.state);
+}
 sceneLabel.textContent = activeView.name;
 
 function applyUiHidden(hidden) {
@@ -92,13 +436,27 @@ function applyUiHidden(hidden) {
 
 let uiEverToggledByUser = false;
 
-function setView(idx) {
+/**
+ * @param {number} idx
+ * @param {{ history?: 'push' | 'replace' | 'none' }} [opts]
+ *   - 'push' (default): user navigation, creates a Back entry
+ *   - 'replace': rewrite the current entry (boot)
+ *   - 'none': we are reacting to Back/Forward; the URL is already right
+ */
+function setView(idx, opts = {}) {
+  const prevView = activeView;
   activeView?.setActive?.(false);
 
-  viewIdx = (idx + views.length) % views.length;
-  activeView = views[viewIdx];
+  viewIdx = views.wrap(idx);
+  activeView = views.get(viewIdx);
   sceneLabel.textContent = activeView.name;
-  sounds.trigger('view:change');
+  // Views without a track fade the bus out; the same track carries on across views.
+  sounds.setMusic(activeView.music);
+  sounds.setAmbience(activeView.ambience);
+  spatial.setView(activeView);
+  // Nothing from the previous view (e.g. the Pulsar beat) may carry on into this one.
+  haptics.cancel();
+  appEvents.emit('view:change', { id: views.idAt(viewIdx), name: activeView.name });
 
   const useMotion = activeView.useMotion !== false;
   motion.setActive(useMotion);
@@ -111,40 +469,105 @@ function setView(idx) {
   }
 
   onResize();
+  settingsPanel.refresh();
+  // Building a view / first frames of a new scene aren't representative.
+  quality.hold(1000);
+
+  const historyMode = opts.history ?? 'push';
+
+  // Boot ('replace') shows the first view directly; everything else animates.
+  if (historyMode !== 'replace' && prevView && prevView !== activeView) {
+    transitions.start(prevView, activeView.transitionIn);
+  } else {
+    transitions.cancel();
+  }
+  // The outgoing view is still drawn during a transition; release memory once it ends.
+  if (!transitions.active) views.enforceBudget(viewIdx);
+
+  if (historyMode === 'push') viewHistory.push(views.idAt(viewIdx), activeView.getUrlState?.());
+  else if (historyMode === 'replace') viewHistory.replace(views.idAt(viewIdx), activeView.getUrlState?.());
 }
 
-prevBtn?.addEventListener(
-  'click',
-  () => {
-    sounds.trigger('ui:prev');
-    setView(viewIdx - 1);
-  },
-  { passive: true },
-);
+// Keep the URL in sync with in-view state (camera moves, param tweaks) without spamming history.
+const URL_SYNC_INTERVAL_MS = 500;
+let lastUrlSync = 0;
+function syncUrlState(now) {
+  if (now - lastUrlSync < URL_SYNC_INTERVAL_MS) return;
+  lastUrlSync = now;
+  if (!activeView.getUrlState) return;
+  viewHistory.replace(views.idAt(viewIdx), activeView.getUrlState());
+}
+
+function goPrev() {
+  appEvents.emit('ui:prev');
+  setView(viewIdx - 1);
+}
+
+function goNext() {
+  appEvents.emit('ui:next');
+  setView(viewIdx + 1);
+}
+
+function toggleHud() {
+  uiEverToggledByUser = true;
+  applyUiHidden(!document.body.classList.contains('ui-hidden'));
+  appEvents.emit('ui:toggleHud', { hidden: document.body.classList.contains('ui-hidden') });
+}
+
+prevBtn?.addEventListener('click', goPrev, { passive: true });
+nextBtn?.addEventListener('click', goNext, { passive: true });
 
-nextBtn?.addEventListener(
-  'click',
-  () => {
-    sounds.trigger('ui:next');
-    setView(viewIdx + 1);
+// ----------------------------
+// Keyboard + gamepad (arrows/shoulders switch views, WASD/sticks look, C/Y recenter, F8/Menu HUD)
+// ----------------------------
+const input = createInputController({
+  onAction: (action) => {
+    if (action === 'view:prev') goPrev();
+    else if (action === 'view:next') goNext();
+    else if (action === 'recenter') motion.recenter();
+    else if (action === 'hud:toggle') toggleHud();
+    else if (action === 'capture:png') void captureStill();
+    else if (action === 'capture:clip') void toggleClipRecording();
+    else if (action === 'stereo:toggle') settings.set('display', 'stereo', !settings.values.display.stereo);
   },
-  { passive: true },
-);
+  onLook: (dYaw, dPitch) => {
+    if (activeView.useMotion !== false) motion.look(dYaw, dPitch);
+  },
+});
 
 // ----------------------------
-// UI toggle (F8)
+// Gestures (edge-swipe switches views, long-press toggles the HUD, shake recenters)
 // ----------------------------
-window.addEventListener(
-  'keydown',
-  (e) => {
-    if (e.code !== 'F8' && e.key !== 'F8') return;
-    e.preventDefault();
-    uiEverToggledByUser = true;
-    applyUiHidden(!document.body.classList.contains('ui-hidden'));
-    sounds.trigger('ui:toggleHud');
+// Motion views without their own list: motion.js already does pinch zoom and double-tap recenter.
+/** @type {import('./gestures.js').GestureType[]} */
+const MOTION_VIEW_GESTURES = ['doubletap', 'pinch'];
+
+/**
+ * Gestures the view handles itself (through its own controls or `onGesture`).
+ * @param {View} view
+ */
+function viewGestures(view) {
+  return view.gestures ?? (view.useMotion !== false ? MOTION_VIEW_GESTURES : []);
+}
+
+const gestures = createGestureRecognizer(canvas, {
+  claimsEdgeSwipe: () => !viewGestures(activeView).includes('edgeswipe'),
+  onGesture: (g) => {
+    if (viewGestures(activeView).includes(g.type)) {
+      activeView.onGesture?.(g);
+      return;
+    }
+    if (g.type === 'edgeswipe') {
+      // Like paging: swipe in from the right for the next view, from the left to go back.
+      if (g.edge === 'right') goNext();
+      else goPrev();
+    } else if (g.type === 'longpress') {
+      toggleHud();
+    } else if (g.type === 'shake') {
+      if (activeView.useMotion !== false) motion.recenter();
+    }
   },
-  { passive: false },
-);
+});
 
 // No UI overlay: use the first canvas gesture to request motion permission (iOS Safari requirement).
 let triedMotion = false;
@@ -152,25 +575,330 @@ canvas.addEventListener(
   'pointerdown',
   async () => {
     await sounds.onUserGesture();
-    void tryStartLaunchBgm();
     activeView?.onUserGesture?.();
     if (triedMotion) return;
     if (activeView.useMotion === false) return;
     triedMotion = true;
     const ok = await motion.enableMotionFromUserGesture();
     if (ok) {
-      motion.recenter();
-      sounds.trigger('motion:enabled');
+      motion.recenter({ silent: true });
+      appEvents.emit('motion:enabled');
     }
   },
   { passive: true },
 );
 
+// ----------------------------
+// Capture (PNG stills rendered offscreen, WebM clips from the canvas; HUD never included)
+// ----------------------------
+const clipRecorder = createClipRecorder(canvas);
+// App-clock time of the last rendered frame, so a still matches what's on screen.
+let lastRenderMs = 0;
+
+async function captureStill() {
+  const id = views.idAt(viewIdx);
+  const view = activeView;
+  const dpr = window.devicePixelRatio || 1;
+  const [width, height] = CAPTURE_SIZES[settings.values.capture.size] ?? [
+    window.innerWidth * dpr,
+    window.innerHeight * dpr,
+  ];
+  // Stills always use the top tier; the live tier comes back in `restore`.
+  view.setQuality?.(QUALITY_TIERS[QUALITY_TIERS.length - 1]);
+  try {
+    const blob = await captureViewPng(renderer, view, {
+      width,
+      height,
+      tMs: lastRenderMs,
+      restore: () => {
+        view.setQuality?.(quality.tier);
+        layoutActiveView({ offscreen: true });
+      },
+    });
+    downloadBlob(blob, captureFilename(id, 'png'));
+  } catch (error) {
+    diagnostics.report({ source: 'capture', phase: 'capture', error });
+  }
+}
+
+async function toggleClipRecording() {
+  if (clipRecorder.recording) {
+    clipRecorder.stop();
+    return;
+  }
+  const id = views.idAt(viewIdx);
+  const pending = clipRecorder.record(settings.values.capture.clipSeconds);
+  document.body.classList.add('recording');
+  settingsPanel.refresh();
+  try {
+    downloadBlob(await pending, captureFilename(id, 'webm'));
+  } catch (error) {
+    diagnostics.report({ source: 'capture', phase: 'capture', error });
+  } finally {
+    document.body.classList.remove('recording');
+    settingsPanel.refresh();
+  }
+}
+
+// ----------------------------
+// Motion record / replay
+// ----------------------------
+function toggleMotionRecording() {
+  if (!motion.getStatus().recording) {
+    motion.startRecording();
+  } else {
+    const recording = motion.stopRecording();
+    if (recording) {
+      downloadBlob(
+        new Blob([JSON.stringify(recording)], { type: 'application/json' }),
+        captureFilename('motion', 'json'),
+      );
+    }
+  }
+  settingsPanel.refresh();
+}
+
+/**
+ * @param {unknown} data - parsed JSON
+ * @param {{ speed?: number }} [opts]
+ */
+function playMotionRecording(data, opts = {}) {
+  try {
+    motion.playRecording(parseMotionRecording(data), opts);
+  } catch (error) {
+    diagnostics.report({ source: 'motion', phase: 'load', error });
+  }
+  settingsPanel.refresh();
+}
+
+/**
+ * @param {File} file
+ */
+async function loadMotionRecordingFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    diagnostics.report({ source: 'motion', phase: 'load', error });
+    return;
+  }
+  playMotionRecording(data);
+}
+
+const motionReplayUrl = searchParams.get('motionReplay');
+if (motionReplayUrl) {
+  const speed = Number(searchParams.get('motionReplaySpeed')) || 1;
+  fetch(motionReplayUrl)
+    .then((res) => {
+      if (!res.ok) throw new Error(`Motion replay ${motionReplayUrl}: HTTP ${res.status}`);
+      return res.json();
+    })
+    .then((data) => playMotionRecording(data, { speed }))
+    .catch((error) => diagnostics.report({ source: 'motion', phase: 'load', error }));
+}
+
+// ----------------------------
+// Real-sky alignment (constellations follow compass heading + local sidereal time)
+// ----------------------------
+const skyAlignment = createSkyAlignment();
+
+// Deterministic runs put the sky at a fixed date (J2000) plus app time, not the wall clock.
+const DETERMINISTIC_SKY_EPOCH_MS = Date.UTC(2000, 0, 1, 12);
+
+/**
+ * Equatorial -> world rotation for this frame, or null when alignment is off.
+ * Without a compass, -Z stands in for north (the direction faced when motion started).
+ */
+function skyOrientation() {
+  const s = settings.values.sky;
+  if (!s.align) return null;
+  return skyAlignment.update({
+    unixMs: deterministic ? DETERMINISTIC_SKY_EPOCH_MS + clock.tMs : Date.now(),
+    latitude: s.latitude,
+    longitude: s.longitude,
+    northYaw: motion.getNorthYaw() ?? 0,
+  });
+}
+
+async function locateForSky() {
+  try {
+    const { latitude, longitude } = await requestGeolocation();
+    settings.set('sky', 'latitude', Number(latitude.toFixed(2)));
+    settings.set('sky', 'longitude', Number(longitude.toFixed(2)));
+  } catch (error) {
+    diagnostics.report({ source: 'sky', phase: 'load', level: 'warning', error });
+  }
+  settingsPanel.refresh();
+}
+
+// ----------------------------
+// Settings (persisted; panel lives in the HUD)
+// ----------------------------
+/**
+ * Apply stored per-view options (or each option's default) to a view.
+ * @param {string} id
+ * @param {any} view
+ */
+function applyViewOptions(id, view) {
+  const stored = settings.values.views[id] || {};
+  for (const o of view.getOptions?.() ?? []) {
+    view.setOption?.(o.key, o.key in stored ? stored[o.key] : o.default);
+  }
+}
+
+/**
+ * @param {import('./settings.js').Settings} s
+ */
+function applyAudioSettings(s) {
+  sounds.setVolume(s.audio.master);
+  sounds.setSfxVolume(s.audio.sfx);
+  sounds.setMusicVolume(s.audio.music);
+  sounds.setAmbienceVolume(s.audio.ambience);
+  sounds.setEnabled(!s.audio.muted);
+}
+
+/**
+ * @param {import('./settings.js').Settings} s
+ */
+function hapticIntensity(s) {
+  return s.haptics.enabled ? s.haptics.intensity : 0;
+}
+
+/**
+ * @param {import('./settings.js').Settings} s
+ */
+function applyMotionSettings(s) {
+  motion.setSensitivity(s.motion.sensitivity);
+  motion.setSmoothing(s.motion.smoothing);
+  motion.setPointerLock(s.motion.pointerLock);
+}
+
+/**
+ * @param {import('./settings.js').Settings} s
+ */
+function applyTransitionSettings(s) {
+  if (transitionParam || transitionsFailed) return;
+  const mode = s.display.transition;
+  transitions.setEnabled(mode !== 'off');
+  transitions.setEffect(TRANSITION_EFFECTS.includes(mode) ? mode : null);
+}
+
+/**
+ * @param {import('./settings.js').Settings} s
+ */
+function applyQualitySettings(s) {
+  if (qualityLock) return;
+  quality.setMode(s.display.quality);
+}
+
+/**
+ * @param {import('./settings.js').Settings} s
+ */
+function applyStereoSettings(s) {
+  stereo.setEyeSeparation(s.display.eyeSeparationMm);
+  stereo.setDistortion(s.display.lensDistortion);
+  if (!s.display.stereo) stereo.releaseTargets();
+}
+
+applyMotionSettings(settings.values);
+applyTransitionSettings(settings.values);
+applyQualitySettings(settings.values);
+applyStereoSettings(settings.values);
+
+settings.subscribe((s, section) => {
+  if (section === 'audio' || section === 'all') applyAudioSettings(s);
+  if (section === 'haptics' || section === 'all') haptics.setIntensity(hapticIntensity(s));
+  if (section === 'motion' || section === 'all') applyMotionSettings(s);
+  if (section === 'display' || section === 'all') {
+    applyTransitionSettings(s);
+    applyQualitySettings(s);
+    applyStereoSettings(s);
+    onResize();
+  }
+  if (section === 'views' || section === 'all') {
+    views.ids.forEach((id, i) => {
+      const view = views.peek(i);
+      if (view) applyViewOptions(id, view);
+    });
+  }
+});
+
+const settingsPanel = createSettingsPanel({
+  container: hud,
+  store: settings,
+  getActiveView: () => ({ id: views.idAt(viewIdx), view: activeView }),
+  transitionEffects: TRANSITION_EFFECTS,
+  qualityTiers: QUALITY_TIERS.map((t) => t.name),
+  captureSizes: Object.keys(CAPTURE_SIZES),
+  onCapture: (kind) => void (kind === 'png' ? captureStill() : toggleClipRecording()),
+  isRecording: () => clipRecorder.recording,
+  sky: {
+    onLocate: () => void locateForSky(),
+    heading: () => motion.getStatus().heading,
+  },
+  motionSession: {
+    recording: () => motion.getStatus().recording,
+    replaying: () => motion.getStatus().replay !== null,
+    onToggleRecord: toggleMotionRecording,
+    onLoad: (file) => void loadMotionRecordingFile(file),
+    onStopReplay: () => {
+      motion.stopReplay();
+      settingsPanel.refresh();
+    },
+  },
+  diagnostics: {
+    count: () => diagnostics.entries.length,
+    onExport: () =>
+      downloadBlob(
+        new Blob([diagnostics.exportJson()], { type: 'application/json' }),
+        captureFilename('diagnostics', 'json'),
+      ),
+  },
+  soundStatus: () => sounds.getStatus(),
+});
+diagnostics.subscribe(() => settingsPanel.refresh());
+
+// Decode every one-shot in the manifest now (no gesture needed), then show the tally.
+// Missing files are expected (synth recipes cover them); broken ones are worth a diagnostic.
+void sounds.preload().then((status) => {
+  for (const [name, ev] of Object.entries(status.events)) {
+    const broken = ev.variants.filter((v) => v.state === 'failed').map((v) => v.url);
+    if (broken.length) {
+      const error = new Error(`${name}: could not decode ${broken.join(', ')}`);
+      diagnostics.report({ source: 'sounds', phase: 'load', error, level: 'warning' });
+    }
+  }
+  settingsPanel.refresh();
+});
+
 // ----------------------------
 // Resize/orientation
 // ----------------------------
+/**
+ * Lay the active view out for the window (or for one eye in stereo).
+ * @param {{ offscreen?: boolean }} [layout] - offscreen: leave the canvas size alone (after a capture)
+ * @returns {boolean} whether the view is split for stereo
+ */
+function layoutActiveView(layout = {}) {
+  const dpr = Math.min(window.devicePixelRatio || 1, settings.values.display.pixelRatioCap, quality.tier.pixelRatio);
+  const w = window.innerWidth;
+  const h = window.innerHeight;
+  const split = usesStereo(activeView);
+  if (split) {
+    // Lay the view out for one eye, then put the canvas back to full width.
+    activeView.resize(w / 2, h, dpr, layout);
+    if (!layout.offscreen) renderer.setSize(w, h, false);
+  } else {
+    activeView.resize(w, h, dpr, layout);
+  }
+  return split;
+}
+
 function onResize() {
-  activeView.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
+  const split = layoutActiveView();
+  document.body.classList.toggle('stereo', split);
+  // No touching the screen inside a viewer: look down and back up to recenter.
+  motion.setGazeRecenter(split);
 }
 window.addEventListener('resize', onResize, { passive: true });
 window.addEventListener('orientationchange', onResize, { passive: true });
@@ -179,32 +907,137 @@ onResize();
 // ----------------------------
 // Animation loop
 // ----------------------------
-let lastT = performance.now();
-function frame(now) {
-  requestAnimationFrame(frame);
-  const dt = Math.min(0.05, (now - lastT) / 1000);
-  lastT = now;
+/** @type {number | null} */
+let rafId = null;
 
+function frame(rafNow) {
+  rafId = requestAnimationFrame(frame);
+  clock.tick(rafNow);
+  // View time: stops while paused; fixed steps in deterministic mode.
+  const now = clock.tMs;
+  const dt = clock.dt;
+
+  // Transitions draw two views; don't let that cost count against the tier.
+  if (!transitions.active) quality.sample(clock.frameMs);
+
+  input.update(dt);
+
+  // Replays follow real time (fixed steps when deterministic); motion itself idles off motion views.
+  motion.update(dt, clock.fixedDt ? dt * 1000 : clock.frameMs);
   const useMotion = activeView.useMotion !== false;
-  if (useMotion) {
-    motion.update(dt);
-    if (activeView.camera) motion.applyToCamera(activeView.camera);
-  }
+  if (useMotion && activeView.camera) motion.applyToCamera(activeView.camera);
 
-  activeView.update(dt);
-  if (activeView.render) {
-    activeView.render(now);
+  const outgoing = transitions.fromView;
+  const sky = skyOrientation();
+  activeView.setSkyOrientation?.(sky);
+  outgoing?.setSkyOrientation?.(sky);
+  // Live audio isn't reproducible: deterministic runs see silence.
+  const music = deterministic ? silentMusic : sounds.analyseMusic(clock.frameMs / 1000);
+  activeView.setAudioFeatures?.(music);
+  outgoing?.setAudioFeatures?.(music);
+
+  updateView(activeView, dt);
+  spatial.update(activeView.camera ?? null);
+
+  if (outgoing) {
+    // The outgoing view keeps animating underneath the blend.
+    if (outgoing.camera) motion.applyToCamera(outgoing.camera);
+    updateView(outgoing, dt);
+    // Both views draw through their own boundary; a throw here is the blend pass itself.
+    let done = true;
+    try {
+      done = transitions.render(
+        now,
+        (target) => drawView(outgoing, now, target),
+        (target) => drawView(activeView, now, target),
+      );
+    } catch (error) {
+      failTransitions(error);
+      drawView(activeView, now);
+    }
+    if (done) views.enforceBudget(viewIdx);
   } else {
-    // If the previous view used raw GL drawing, ensure Three re-syncs its internal state.
-    // (Calling resetState() is cheap and avoids subtle state leakage.)
-    renderer.resetState();
-    renderer.render(activeView.scene, activeView.camera);
+    drawView(activeView, now);
   }
+
+  lastRenderMs = now;
+  syncUrlState(rafNow);
 }
-requestAnimationFrame(frame);
+rafId = requestAnimationFrame(frame);
 
 // Ensure per-view activation state is set on load
-setView(viewIdx);
+setView(viewIdx, { history: 'replace' });
+
+// ----------------------------
+// Lifecycle (background tab / bfcache / frozen page)
+// ----------------------------
+createAppLifecycle({
+  onPause: () => {
+    if (rafId != null) cancelAnimationFrame(rafId);
+    rafId = null;
+    sounds.suspend();
+    haptics.cancel();
+    motion.suspend();
+    gestures.reset();
+    activeView.setActive?.(false);
+    document.body.classList.add('app-paused');
+  },
+  onResume: (_reason, pausedMs) => {
+    clock.resume(pausedMs);
+    sounds.resume({ fadeMs: 600 });
+    motion.resume();
+    activeView.setActive?.(true);
+    // The first frames back are often slow (GPU wake-up); don't let them drop the tier.
+    quality.hold(1500);
+    if (rafId == null) rafId = requestAnimationFrame(frame);
+    // Next frame, so the canvas starts transparent and fades in via CSS.
+    requestAnimationFrame(() => document.body.classList.remove('app-paused'));
+  },
+});
 
-// Best-effort attempt to start launch BGM immediately.
-void tryStartLaunchBgm();
+// ----------------------------
+// Deterministic frame hook (headless visual regression)
+// ----------------------------
+// Fallback step when only `?seed=` was given.
+const RENDER_AT_DEFAULT_DT = 1 / 60;
+
+/**
+ * Rebuild `viewId` from the seed, simulate to `tSeconds` in fixed steps and draw one frame.
+ * The live loop stays stopped afterwards so the canvas keeps showing exactly this frame.
+ * @param {string} viewId
+ * @param {number} tSeconds
+ * @returns {Promise<string>} PNG data URL of the frame (canvas only, no HUD)
+ */
+async function renderAt(viewId, tSeconds) {
+  const idx = views.indexOf(viewId);
+  if (idx < 0) throw new Error(`Unknown view id: ${viewId}`);
+
+  if (rafId != null) cancelAnimationFrame(rafId);
+  rafId = null;
+
+  // Same starting point every call: fresh view, default state, restarted sequence.
+  views.release(idx, { discardState: true });
+  setRandomSeed(Number.isFinite(seedParam) ? seedParam : 0);
+  setView(idx, { history: 'replace' });
+  await activeView.ready;
+
+  const step = clock.fixedDt ?? RENDER_AT_DEFAULT_DT;
+  const steps = Math.max(0, Math.round(tSeconds / step));
+  for (let i = 0; i < steps; i++) activeView.update(step);
+
+  const tMs = steps * step * 1000;
+  clock.setTime(tMs);
+  lastRenderMs = tMs;
+  renderFrame(activeView, tMs);
+  // Read back in the same task, before the browser may discard the drawing buffer.
+  return canvas.toDataURL('image/png');
+}
+
+function resumeLoop() {
+  if (rafId == null) rafId = requestAnimationFrame(frame);
+}
+
+if (deterministic) {
+  // @ts-ignore - test hook
+  window.geometryDrift = { renderAt, resume: resumeLoop };
+}
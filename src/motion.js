@@ -1,3 +1,8 @@
+import * as THREE from 'three';
+import { applyDeadZone, applyResponseCurve, ORIENTATION_FILTERS } from './motionFilters.js';
+import { createMotionRecorder, createMotionReplay } from './motionReplay.js';
+import { appEvents } from './appEvents.js';
+
 const DEG2RAD = Math.PI / 180;
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
@@ -6,9 +11,34 @@ const lerp = (a, b, t) => a + (b - a) * t;
 /**
  * Motion controller:
  * - iOS-compatible permission request (must be called from a user gesture)
- * - deviceorientation -> yaw/pitch with smoothing
- * - recenter by storing a neutral offset
- * - touch drag fallback (one-finger look) when motion is OFF/unavailable
+ * - deviceorientation -> full 3-DOF quaternion (same math as three's DeviceOrientationControls),
+ *   compensated for the screen orientation (portrait/landscape)
+ * - filter stage (see motionFilters.js): dead zone -> One Euro (default) / exponential / none,
+ *   plus a response curve on tilt; all tunable at runtime via `setTuning()`
+ * - session record/replay of raw sensor + pointer input (see motionReplay.js)
+ * - recenter by storing a yaw offset (turn so "forward" is wherever the device points now)
+ * - compass heading (iOS `webkitCompassHeading`, `deviceorientationabsolute` elsewhere), tracked as
+ *   an offset from the relative alpha so `getNorthYaw()` can point the sky at real north
+ * - touch drag look: the whole view when motion is OFF, an offset on top of the sensor when ON
+ *   (drag momentum on release, double-tap recenters offset + sensor)
+ * - desktop: optional pointer-lock mouse look (click to lock, Esc releases) on the same channel
+ * - zoom: wheel / trackpad pinch / two-finger pinch scale the camera FOV within [FOV_MIN, FOV_MAX]
+ * - gaze recenter (headset viewers, no touch): look straight down for a moment, then back up;
+ *   wherever you face when you come up becomes forward
+ *
+ * @typedef {{
+ *  filter: keyof typeof ORIENTATION_FILTERS,
+ *  minCutoff: number,
+ *  beta: number,
+ *  dCutoff: number,
+ *  tau: number,
+ *  deadZoneDeg: number,
+ *  curveExponent: number,
+ *  curveRangeDeg: number,
+ *  pitchLimitDeg: number,
+ * }} MotionTuning
+ *   minCutoff/beta/dCutoff: One Euro (Hz, Hz per rad/s, Hz); tau: exponential filter (s);
+ *   curve*: tilt response (exponent > 1 = finer near center); pitchLimitDeg: touch/keys look limit
  *
  * @param {HTMLCanvasElement} canvas
  */
@@ -20,16 +50,24 @@ export function createMotionController(canvas) {
   /** @type {{alpha: number|null, beta: number|null, gamma: number|null}} */
   const sensor = { alpha: null, beta: null, gamma: null };
 
-  // Neutral offsets (degrees) used for recentering
-  /** @type {{beta: number, gamma: number}} */
-  let neutral = { beta: 0, gamma: 0 };
-  let hasNeutral = false;
+  // Recenter: rotation about world up applied on top of the device orientation.
+  let yawOffset = 0;
+  let hasYawOffset = false;
+
+  // Compass: absolute alpha - relative alpha (degrees), low-passed; null until a heading arrives.
+  /** @type {number | null} */
+  let headingOffset = null;
+  const HEADING_SMOOTHING = 0.1;
+
+  // Sensor orientation as a camera quaternion: target (latest reading) and smoothed.
+  const targetQuat = new THREE.Quaternion();
+  const sensorQuat = new THREE.Quaternion();
+  // Final camera orientation: sensor + touch offset.
+  const outQuat = new THREE.Quaternion();
 
-  // Smoothed camera angles (radians)
+  // Camera angles (radians); from the sensor quaternion or the touch fallback.
   let yaw = 0;
   let pitch = 0;
-  let targetYaw = 0;
-  let targetPitch = 0;
 
   // Touch look (radians)
   let touchYaw = 0;
@@ -39,28 +77,118 @@ export function createMotionController(canvas) {
 
   let motionEnabled = false;
   let listening = false;
+  // Lifecycle: sensor listener detached while the page is hidden.
+  let suspended = false;
+  // After a resume, jump straight to the next target instead of easing across the gap.
+  let snapPending = false;
+  let readingSinceResume = false;
 
-  const PITCH_LIMIT = 1.1; // ~63deg
+  let pitchLimit = 1.1; // ~63deg
   const TOUCH_SENS = 0.0045; // rad per px
-  const SENSOR_YAW_SCALE = 0.9;
-  const SENSOR_PITCH_SCALE = 0.9;
+  // Tilt (pitch/roll) scale (user setting "sensitivity"). Yaw always follows 1:1
+  // so a full physical spin is a full turn.
+  let sensorScale = 0.9;
+  // Smoothing time constant in seconds (0 = raw). 0.145s matches the original `1 - 0.001^dt` lerp.
+  let smoothingTau = 0.145;
+  const MAX_SMOOTHING_TAU = 0.3;
+
+  // Sensor filter stage.
+  /** @type {import('./motionFilters.js').OrientationFilter} */
+  let filter = ORIENTATION_FILTERS.oneEuro();
+  // Sensor target after the dead zone (what the filter chases).
+  const heldQuat = new THREE.Quaternion();
+  let deadZone = 0.2 * DEG2RAD;
+  let deadZoneHolding = false;
+  const curve = { exponent: 1, range: 60 * DEG2RAD };
+
+  // Drag momentum: velocity (rad/s) keeps turning after release and decays.
+  const MOMENTUM_FRICTION = 4.5; // 1/s
+  const MOMENTUM_MIN = 0.02; // rad/s, stop below this
+  // A release this long after the last move means the finger stopped: no fling.
+  const FLING_MAX_IDLE_MS = 80;
+  let velYaw = 0;
+  let velPitch = 0;
+
+  // Double-tap: two short taps close together in time and space.
+  const DOUBLE_TAP_MS = 300;
+  const TAP_SLOP_PX = 12;
+
+  // Pointer state (touch look)
+  const pointer = { down: false, id: -1, x: 0, y: 0, startX: 0, startY: 0, lastMoveT: 0 };
+  let lastTap = { t: -Infinity, x: 0, y: 0 };
+
+  // Zoom: multiplier on each camera's own FOV, eased toward the target.
+  const FOV_MIN = 25; // degrees
+  const FOV_MAX = 100;
+  const ZOOM_TAU = 0.08; // s
+  let fovScale = 1;
+  let fovScaleTarget = 1;
+
+  // Gaze recenter: hold below GAZE_DOWN_PITCH for GAZE_HOLD_S to arm, recenter once back above
+  // GAZE_RELEASE_PITCH (radians, - = looking down).
+  const GAZE_DOWN_PITCH = -70 * DEG2RAD;
+  const GAZE_RELEASE_PITCH = -25 * DEG2RAD;
+  const GAZE_HOLD_S = 1.2;
+  let gazeRecenter = false;
+  let gazeArmed = false;
+  let gazeDownTime = 0;
+
+  // Every pointer currently down (pinch needs two); the first one drives drag look.
+  /** @type {Map<number, { x: number, y: number }>} */
+  const touches = new Map();
+  // Finger distance on the last pinch step (0 = not pinching).
+  let pinchDist = 0;
+
+  /**
+   * Zoom by a factor (> 1 = closer, i.e. narrower FOV).
+   * @param {number} k
+   */
+  function zoomBy(k) {
+    if (!active || !(k > 0)) return;
+    // Loose bounds here; `applyToCamera` clamps against the camera's real FOV.
+    fovScaleTarget = clamp(fovScaleTarget / k, 0.1, 10);
+  }
 
-  // Pointer state (touch fallback)
-  const pointer = { down: false, id: -1, x: 0, y: 0 };
+  function pinchDistance() {
+    const [a, b] = touches.values();
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
 
   function onPointerDown(e) {
     if (!active) return;
-    if (motionEnabled) return; // touch fallback only when motion is OFF
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size >= 2) {
+      // Second finger: switch from drag to pinch (no fling, no tap).
+      pointer.down = false;
+      pointer.id = -1;
+      velYaw = 0;
+      velPitch = 0;
+      pinchDist = pinchDistance();
+      return;
+    }
     pointer.down = true;
     pointer.id = e.pointerId;
-    pointer.x = e.clientX;
-    pointer.y = e.clientY;
-    canvas.setPointerCapture?.(e.pointerId);
+    pointer.x = pointer.startX = e.clientX;
+    pointer.y = pointer.startY = e.clientY;
+    pointer.lastMoveT = e.timeStamp;
+    // Catching the view stops any fling.
+    velYaw = 0;
+    velPitch = 0;
   }
 
   function onPointerMove(e) {
     if (!active) return;
-    if (motionEnabled) return;
+    const touch = touches.get(e.pointerId);
+    if (touch) {
+      touch.x = e.clientX;
+      touch.y = e.clientY;
+    }
+    if (pinchDist > 0 && touches.size >= 2) {
+      const dist = pinchDistance();
+      if (dist > 0) zoomBy(dist / pinchDist);
+      pinchDist = dist;
+      return;
+    }
     if (!pointer.down || e.pointerId !== pointer.id) return;
     const dx = e.clientX - pointer.x;
     const dy = e.clientY - pointer.y;
@@ -68,22 +196,237 @@ export function createMotionController(canvas) {
     pointer.y = e.clientY;
 
     // Drag right => yaw right. Drag up => look up (negative pitch).
-    touchTargetYaw += dx * TOUCH_SENS;
-    touchTargetPitch += dy * TOUCH_SENS;
-    touchTargetPitch = clamp(touchTargetPitch, -PITCH_LIMIT, PITCH_LIMIT);
+    const dYaw = dx * TOUCH_SENS;
+    const dPitch = dy * TOUCH_SENS;
+    touchTargetYaw += dYaw;
+    touchTargetPitch = clamp(touchTargetPitch + dPitch, -pitchLimit, pitchLimit);
+
+    // Smoothed drag velocity for the fling.
+    const elapsed = (e.timeStamp - pointer.lastMoveT) / 1000;
+    pointer.lastMoveT = e.timeStamp;
+    if (elapsed > 0) {
+      velYaw = lerp(velYaw, dYaw / elapsed, 0.4);
+      velPitch = lerp(velPitch, dPitch / elapsed, 0.4);
+    }
   }
 
   function onPointerUp(e) {
     if (!active) return;
+    touches.delete(e.pointerId);
+    // The finger left after a pinch doesn't resume dragging (the view would jump).
+    if (touches.size < 2) pinchDist = 0;
     if (e.pointerId !== pointer.id) return;
     pointer.down = false;
     pointer.id = -1;
+
+    if (e.type === 'pointercancel' || e.timeStamp - pointer.lastMoveT > FLING_MAX_IDLE_MS) {
+      velYaw = 0;
+      velPitch = 0;
+    }
+
+    const isTap = Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) <= TAP_SLOP_PX;
+    if (!isTap) return;
+    velYaw = 0;
+    velPitch = 0;
+    const isDoubleTap =
+      e.timeStamp - lastTap.t <= DOUBLE_TAP_MS &&
+      Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) <= TAP_SLOP_PX * 3;
+    if (isDoubleTap) {
+      lastTap = { t: -Infinity, x: 0, y: 0 };
+      recenter();
+    } else {
+      lastTap = { t: e.timeStamp, x: e.clientX, y: e.clientY };
+    }
+  }
+
+  // Session record/replay. While replaying, live input is ignored so the session is reproduced as-is.
+  const recorder = createMotionRecorder();
+  /** @type {ReturnType<typeof createMotionReplay> | null} */
+  let replay = null;
+  // Restored when a replay ends (a replay pretends the sensor is on).
+  let motionEnabledBeforeReplay = false;
+
+  // Desktop mouse look: while the canvas holds pointer lock, mouse movement turns the view.
+  const MOUSE_SENS = 0.0022; // rad per px
+  let pointerLockEnabled = false;
+  let pointerLocked = false;
+
+  function onPointerLockChange() {
+    pointerLocked = document.pointerLockElement === canvas;
+  }
+  document.addEventListener('pointerlockchange', onPointerLockChange);
+
+  function exitPointerLock() {
+    if (document.pointerLockElement === canvas) document.exitPointerLock?.();
+  }
+
+  /**
+   * @param {boolean} enabled - click-to-lock mouse look on desktop
+   */
+  function setPointerLock(enabled) {
+    pointerLockEnabled = !!enabled;
+    if (!pointerLockEnabled) exitPointerLock();
+  }
+
+  /**
+   * Pointer-lock handling for live mouse events.
+   * @param {PointerEvent} e
+   * @returns {boolean} true if consumed
+   */
+  function handleMouseLook(e) {
+    if (e.pointerType !== 'mouse') return false;
+    if (pointerLocked) {
+      // First-person convention: mouse right turns right, mouse up looks up.
+      if (e.type === 'pointermove') look(-e.movementX * MOUSE_SENS, -e.movementY * MOUSE_SENS);
+      return true;
+    }
+    if (pointerLockEnabled && active && e.type === 'pointerdown' && e.button === 0 && canvas.requestPointerLock) {
+      try {
+        // Promise in newer browsers, undefined in older ones.
+        Promise.resolve(canvas.requestPointerLock()).catch(() => {});
+      } catch {
+        // ignore
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Wheel zoom. Trackpad pinch arrives as ctrl+wheel in Chromium/Firefox; we take it so
+   * the page itself doesn't zoom.
+   * @param {WheelEvent} e
+   */
+  function onWheel(e) {
+    if (!active || replay) return;
+    e.preventDefault();
+    const px = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaMode === 2 ? e.deltaY * 400 : e.deltaY;
+    zoomBy(Math.exp(-px * (e.ctrlKey ? 0.01 : 0.0015)));
+  }
+  canvas.addEventListener('wheel', onWheel, { passive: false });
+
+  // Safari trackpad pinch (non-standard gesture events). iOS fires these for touch pinch
+  // too; that is already handled by the pointer path, so skip while fingers are down.
+  let gestureScale = 1;
+  canvas.addEventListener('gesturestart', (e) => {
+    e.preventDefault();
+    gestureScale = 1;
+  });
+  canvas.addEventListener('gesturechange', (e) => {
+    e.preventDefault();
+    const scale = /** @type {any} */ (e).scale;
+    if (touches.size || replay || !(scale > 0)) return;
+    zoomBy(scale / gestureScale);
+    gestureScale = scale;
+  });
+
+  /**
+   * Live pointer events: record, then run the same handlers a replay uses.
+   * @param {PointerEvent} e
+   */
+  function onPointerEvent(e) {
+    if (replay) return;
+    if (handleMouseLook(e)) return;
+    recorder.add({ type: /** @type {any} */ (e.type), id: e.pointerId, x: e.clientX, y: e.clientY });
+    if (e.type === 'pointerdown') {
+      onPointerDown(e);
+      if (active) canvas.setPointerCapture?.(e.pointerId);
+    } else if (e.type === 'pointermove') {
+      onPointerMove(e);
+    } else {
+      onPointerUp(e);
+    }
+  }
+
+  canvas.addEventListener('pointerdown', onPointerEvent, { passive: true });
+  canvas.addEventListener('pointermove', onPointerEvent, { passive: true });
+  canvas.addEventListener('pointerup', onPointerEvent, { passive: true });
+  canvas.addEventListener('pointercancel', onPointerEvent, { passive: true });
+
+  // Scratch objects for the orientation math (no per-event allocations).
+  const Z_AXIS = new THREE.Vector3(0, 0, 1);
+  const Y_AXIS = new THREE.Vector3(0, 1, 0);
+  const X_AXIS = new THREE.Vector3(1, 0, 0);
+  // Camera looks out the back of the device, not the top: -90deg about X.
+  const Q_CAMERA_FROM_DEVICE = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+  const tmpEuler = new THREE.Euler();
+  const tmpQuat = new THREE.Quaternion();
+
+  /**
+   * Screen rotation in radians (0 portrait, +-90deg landscape).
+   */
+  function getScreenAngle() {
+    const angle =
+      (typeof screen !== 'undefined' && screen.orientation && typeof screen.orientation.angle === 'number'
+        ? screen.orientation.angle
+        : // iOS < 16.4
+          /** @type {any} */ (window).orientation) ?? 0;
+    return Number(angle) * DEG2RAD;
   }
+  let screenAngle = getScreenAngle();
 
-  canvas.addEventListener('pointerdown', onPointerDown, { passive: true });
-  canvas.addEventListener('pointermove', onPointerMove, { passive: true });
-  canvas.addEventListener('pointerup', onPointerUp, { passive: true });
-  canvas.addEventListener('pointercancel', onPointerUp, { passive: true });
+  function onScreenOrientationChange() {
+    if (replay) return;
+    screenAngle = getScreenAngle();
+    recorder.add({ type: 'screen', angle: screenAngle / DEG2RAD });
+    recomputeTarget();
+  }
+  window.addEventListener('orientationchange', onScreenOrientationChange, { passive: true });
+  if (typeof screen !== 'undefined' && screen.orientation?.addEventListener) {
+    screen.orientation.addEventListener('change', onScreenOrientationChange);
+  }
+
+  /**
+   * Device Euler angles (W3C: intrinsic Z-X'-Y'') -> camera quaternion in a Y-up world.
+   * @param {THREE.Quaternion} out
+   * @param {number} alpha - radians
+   * @param {number} beta - radians
+   * @param {number} gamma - radians
+   * @param {number} orient - screen angle, radians
+   */
+  function deviceToQuaternion(out, alpha, beta, gamma, orient) {
+    tmpEuler.set(beta, alpha, -gamma, 'YXZ');
+    out.setFromEuler(tmpEuler);
+    out.multiply(Q_CAMERA_FROM_DEVICE);
+    // Undo the screen rotation so landscape doesn't swap axes.
+    out.multiply(tmpQuat.setFromAxisAngle(Z_AXIS, -orient));
+    return out;
+  }
+
+  /**
+   * Yaw (rotation about world up) of a camera quaternion.
+   * @param {THREE.Quaternion} q
+   */
+  function yawOf(q) {
+    return tmpEuler.setFromQuaternion(q, 'YXZ').y;
+  }
+
+  /** Latest sensor reading -> `targetQuat` (recenter offset and tilt sensitivity applied). */
+  function recomputeTarget() {
+    if (sensor.beta == null || sensor.gamma == null) return;
+    // Without a compass (some desktops/Android), alpha is null: treat as 0, recenter fixes yaw.
+    deviceToQuaternion(
+      targetQuat,
+      (sensor.alpha ?? 0) * DEG2RAD,
+      sensor.beta * DEG2RAD,
+      sensor.gamma * DEG2RAD,
+      screenAngle,
+    );
+
+    if (!hasYawOffset) {
+      // First reading: whatever direction the user faces becomes forward.
+      yawOffset = -yawOf(targetQuat);
+      hasYawOffset = true;
+    }
+    targetQuat.premultiply(tmpQuat.setFromAxisAngle(Y_AXIS, yawOffset));
+
+    if (sensorScale !== 1 || curve.exponent !== 1) {
+      tmpEuler.setFromQuaternion(targetQuat, 'YXZ');
+      tmpEuler.x = applyResponseCurve(tmpEuler.x * sensorScale, curve);
+      tmpEuler.z = applyResponseCurve(tmpEuler.z * sensorScale, curve);
+      targetQuat.setFromEuler(tmpEuler);
+    }
+  }
 
   function onDeviceOrientation(ev) {
     if (!active) return;
@@ -92,26 +435,84 @@ export function createMotionController(canvas) {
     sensor.beta = typeof ev.beta === 'number' ? ev.beta : null;
     sensor.gamma = typeof ev.gamma === 'number' ? ev.gamma : null;
 
-    // Establish a neutral baseline the first time we receive real values
-    if (!hasNeutral && sensor.beta != null && sensor.gamma != null) {
-      neutral = { beta: sensor.beta, gamma: sensor.gamma };
-      hasNeutral = true;
+    if (sensor.alpha != null) {
+      // iOS: compass heading is clockwise from north, alpha counter-clockwise.
+      if (typeof ev.webkitCompassHeading === 'number' && ev.webkitCompassHeading >= 0) {
+        trackHeading(360 - ev.webkitCompassHeading, sensor.alpha);
+      } else if (ev.absolute === true) {
+        trackHeading(sensor.alpha, sensor.alpha);
+      }
     }
 
     if (sensor.beta == null || sensor.gamma == null) return;
-    const dBeta = sensor.beta - neutral.beta;
-    const dGamma = sensor.gamma - neutral.gamma;
+    readingSinceResume = true;
+    recomputeTarget();
+  }
+
+  /**
+   * Chromium: the regular event is relative; this one carries the compass alpha.
+   * @param {{ alpha: number | null }} ev
+   */
+  function onAbsoluteOrientation(ev) {
+    if (!active) return;
+    if (typeof ev.alpha === 'number' && sensor.alpha != null) trackHeading(ev.alpha, sensor.alpha);
+  }
+
+  /**
+   * @param {number} absAlpha - degrees, 0 = device facing north
+   * @param {number} relAlpha - degrees, same instant in the relative frame
+   */
+  function trackHeading(absAlpha, relAlpha) {
+    const offset = absAlpha - relAlpha;
+    if (headingOffset == null) {
+      headingOffset = offset;
+      return;
+    }
+    // Shortest way round, so 359 -> 1 doesn't sweep the sky.
+    const diff = ((((offset - headingOffset) % 360) + 540) % 360) - 180;
+    headingOffset = (headingOffset + diff * HEADING_SMOOTHING + 360) % 360;
+  }
+
+  /**
+   * Live sensor events: record, then handle.
+   * @param {DeviceOrientationEvent} ev
+   */
+  function onDeviceOrientationEvent(ev) {
+    if (replay) return;
+    const heading = /** @type {any} */ (ev).webkitCompassHeading;
+    recorder.add({
+      type: 'orientation',
+      alpha: ev.alpha,
+      beta: ev.beta,
+      gamma: ev.gamma,
+      ...(typeof heading === 'number' ? { webkitCompassHeading: heading } : {}),
+      ...(ev.absolute ? { absolute: true } : {}),
+    });
+    onDeviceOrientation(ev);
+  }
+
+  /**
+   * @param {DeviceOrientationEvent} ev
+   */
+  function onAbsoluteOrientationEvent(ev) {
+    if (replay) return;
+    recorder.add({ type: 'heading', alpha: ev.alpha });
+    onAbsoluteOrientation(ev);
+  }
 
-    // Map degrees to radians.
-    // We avoid `alpha` (compass heading) because it can drift and is not essential for "look".
-    targetYaw = (dGamma * DEG2RAD) * SENSOR_YAW_SCALE;
-    targetPitch = (dBeta * DEG2RAD) * SENSOR_PITCH_SCALE;
-    targetPitch = clamp(targetPitch, -PITCH_LIMIT, PITCH_LIMIT);
+  function stopListening() {
+    if (!listening) return;
+    window.removeEventListener('deviceorientation', onDeviceOrientationEvent);
+    window.removeEventListener('deviceorientationabsolute', onAbsoluteOrientationEvent);
+    listening = false;
   }
 
   function startListening() {
-    if (listening) return;
-    window.addEventListener('deviceorientation', onDeviceOrientation, { passive: true });
+    if (listening || suspended) return;
+    window.addEventListener('deviceorientation', onDeviceOrientationEvent, { passive: true });
+    if ('ondeviceorientationabsolute' in window) {
+      window.addEventListener('deviceorientationabsolute', onAbsoluteOrientationEvent, { passive: true });
+    }
     listening = true;
   }
 
@@ -147,7 +548,7 @@ export function createMotionController(canvas) {
 
       startListening();
       motionEnabled = true;
-      hasNeutral = false; // next real reading becomes neutral
+      hasYawOffset = false; // next real reading faces forward
       return true;
     } catch {
       motionEnabled = false;
@@ -155,45 +556,135 @@ export function createMotionController(canvas) {
     }
   }
 
-  function recenter() {
+  /**
+   * Add a look offset from non-pointer input (keyboard, gamepad sticks).
+   * Same channel as touch drag: the whole view when motion is OFF, an offset on top when ON.
+   * @param {number} dYaw - radians, + turns left (camera rotation.y)
+   * @param {number} dPitch - radians, + looks up (camera rotation.x)
+   */
+  function look(dYaw, dPitch) {
     if (!active) return;
+    touchTargetYaw += dYaw;
+    touchTargetPitch = clamp(touchTargetPitch + dPitch, -pitchLimit, pitchLimit);
+  }
+
+  /**
+   * Drop the touch offset and make the current sensor heading forward.
+   * The camera eases back (smoothing) rather than jumping.
+   * @param {{ silent?: boolean }} [opts]
+   *   silent: don't emit 'motion:recentered' (automatic recenters the user didn't ask for)
+   */
+  function recenter(opts = {}) {
+    if (!active) return;
+    touchTargetYaw = 0;
+    touchTargetPitch = 0;
+    velYaw = 0;
+    velPitch = 0;
     if (sensor.beta != null && sensor.gamma != null) {
-      neutral = { beta: sensor.beta, gamma: sensor.gamma };
-      hasNeutral = true;
-    } else {
-      // If we don't have sensor readings (e.g. motion OFF), recenter touch.
-      touchTargetYaw = 0;
-      touchTargetPitch = 0;
-      touchYaw = 0;
-      touchPitch = 0;
+      // Yaw only: pitch/roll stay absolute so the horizon stays level.
+      hasYawOffset = false;
+      recomputeTarget();
     }
+    if (!opts.silent) appEvents.emit('motion:recentered');
   }
 
   /**
-   * @param {number} dt
+   * Call every frame, also while inactive, so a replay keeps its recorded pace.
+   * @param {number} dt - seconds, clamped by the app clock (smoothing)
+   * @param {number} [frameMs] - real frame time for the replay (default `dt`)
    */
-  function update(dt) {
+  function update(dt, frameMs = dt * 1000) {
+    // Replayed input lands before this frame's smoothing, like live events would.
+    if (replay) {
+      replay.advance(frameMs);
+      if (replay.done) stopReplay();
+    }
     if (!active) return;
-    // Frame-rate independent-ish smoothing
-    const smooth = clamp(1 - Math.pow(0.001, dt), 0, 1);
+
+    // Frame-rate independent exponential smoothing
+    let smooth = smoothingTau > 0 ? clamp(1 - Math.exp(-dt / smoothingTau), 0, 1) : 1;
+    // Wait for a fresh sensor reading before snapping (touch targets are already current).
+    let snap = false;
+    if (snapPending && (!motionEnabled || readingSinceResume)) {
+      smooth = 1;
+      snap = true;
+      snapPending = false;
+    }
+
+    // Fling after release.
+    if (!pointer.down && (Math.abs(velYaw) > MOMENTUM_MIN || Math.abs(velPitch) > MOMENTUM_MIN)) {
+      touchTargetYaw += velYaw * dt;
+      touchTargetPitch = clamp(touchTargetPitch + velPitch * dt, -pitchLimit, pitchLimit);
+      const decay = Math.exp(-MOMENTUM_FRICTION * dt);
+      velYaw *= decay;
+      velPitch *= decay;
+    }
+
+    fovScale = lerp(fovScale, fovScaleTarget, clamp(1 - Math.exp(-dt / ZOOM_TAU), 0, 1));
+    touchYaw = lerp(touchYaw, touchTargetYaw, smooth);
+    touchPitch = lerp(touchPitch, touchTargetPitch, smooth);
 
     if (motionEnabled) {
-      yaw = lerp(yaw, targetYaw, smooth);
-      pitch = lerp(pitch, targetPitch, smooth);
+      if (snap) {
+        heldQuat.copy(targetQuat);
+        sensorQuat.copy(targetQuat);
+        filter.reset();
+        deadZoneHolding = false;
+      } else {
+        deadZoneHolding = applyDeadZone(heldQuat, heldQuat, targetQuat, deadZone);
+        filter.apply(sensorQuat, heldQuat, dt);
+      }
+      // Touch offset: yaw about world up (before), pitch about the camera's own X (after).
+      outQuat.setFromAxisAngle(Y_AXIS, touchYaw).multiply(sensorQuat);
+      outQuat.multiply(tmpQuat.setFromAxisAngle(X_AXIS, touchPitch));
+      tmpEuler.setFromQuaternion(outQuat, 'YXZ');
+      yaw = tmpEuler.y;
+      pitch = tmpEuler.x;
+      updateGazeRecenter(dt);
     } else {
-      touchYaw = lerp(touchYaw, touchTargetYaw, smooth);
-      touchPitch = lerp(touchPitch, touchTargetPitch, smooth);
       yaw = touchYaw;
       pitch = touchPitch;
     }
   }
 
   /**
-   * Applies the current orientation to a THREE.PerspectiveCamera (or any Object3D with rotation).
-   * @param {{rotation: {order: string, x: number, y: number, z: number}}} camera
+   * @param {number} dt
+   */
+  function updateGazeRecenter(dt) {
+    if (!gazeRecenter) return;
+    if (pitch < GAZE_DOWN_PITCH) {
+      gazeDownTime += dt;
+      if (gazeDownTime >= GAZE_HOLD_S) gazeArmed = true;
+      return;
+    }
+    gazeDownTime = 0;
+    if (gazeArmed && pitch > GAZE_RELEASE_PITCH) {
+      gazeArmed = false;
+      recenter();
+    }
+  }
+
+  /**
+   * @param {boolean} enabled - look-down-and-back recenter (stereo mode)
+   */
+  function setGazeRecenter(enabled) {
+    gazeRecenter = !!enabled;
+    gazeArmed = false;
+    gazeDownTime = 0;
+  }
+
+  /**
+   * Applies the current orientation to a THREE.PerspectiveCamera (or any Object3D).
+   * @param {THREE.Object3D} camera
    */
   function applyToCamera(camera) {
     if (!active) return;
+    applyZoom(camera);
+    if (motionEnabled) {
+      // Full orientation, including roll.
+      camera.quaternion.copy(outQuat);
+      return;
+    }
     // Use an order that avoids gimbal issues for yaw/pitch.
     camera.rotation.order = 'YXZ';
     camera.rotation.y = yaw;
@@ -201,6 +692,23 @@ export function createMotionController(canvas) {
     camera.rotation.z = 0;
   }
 
+  /**
+   * Scale a perspective camera's FOV from the view's own default (kept in `userData.baseFov`).
+   * @param {THREE.Object3D} camera
+   */
+  function applyZoom(camera) {
+    const cam = /** @type {THREE.PerspectiveCamera} */ (camera);
+    if (!cam.isPerspectiveCamera) return;
+    const base = (cam.userData.baseFov ??= cam.fov);
+    // Pin the target to this camera's limits so zooming back out responds immediately.
+    fovScaleTarget = clamp(fovScaleTarget, FOV_MIN / base, FOV_MAX / base);
+    const fov = clamp(base * fovScale, FOV_MIN, FOV_MAX);
+    if (Math.abs(cam.fov - fov) > 1e-3) {
+      cam.fov = fov;
+      cam.updateProjectionMatrix();
+    }
+  }
+
   /**
    * Enable/disable motion + touch look handling. Useful for views that provide their own controls.
    * @param {boolean} isActive
@@ -210,9 +718,198 @@ export function createMotionController(canvas) {
     if (!active) {
       pointer.down = false;
       pointer.id = -1;
+      touches.clear();
+      pinchDist = 0;
+      velYaw = 0;
+      velPitch = 0;
+      exitPointerLock();
+    }
+  }
+
+  /**
+   * Page hidden: detach the sensor listener and drop any in-progress drag.
+   */
+  function suspend() {
+    suspended = true;
+    stopListening();
+    pointer.down = false;
+    pointer.id = -1;
+    touches.clear();
+    pinchDist = 0;
+    velYaw = 0;
+    velPitch = 0;
+  }
+
+  /**
+   * Page visible again: reattach the sensor (if it was enabled) and snap to the
+   * next reading so stale smoothing state doesn't sweep the camera.
+   */
+  function resume() {
+    suspended = false;
+    if (motionEnabled) startListening();
+    snapPending = true;
+    readingSinceResume = false;
+  }
+
+  /**
+   * @param {number} k - tilt scale (1 = device pitch/roll map 1:1 to the camera; yaw is always 1:1)
+   */
+  function setSensitivity(k) {
+    sensorScale = clamp(k, 0.1, 3);
+    recomputeTarget();
+  }
+
+  /**
+   * @param {number} s - 0 = raw sensor, 1 = heaviest smoothing
+   */
+  function setSmoothing(s) {
+    const k = clamp(s, 0, 1);
+    smoothingTau = k * MAX_SMOOTHING_TAU;
+    // One Euro: resting cutoff from 4 Hz (light) down to 0.2 Hz (heavy), log-spaced.
+    filter.setParams({ tau: smoothingTau, minCutoff: 4 * Math.pow(0.05, k) });
+  }
+
+  /**
+   * Runtime tuning of the sensor filter stage (any subset of keys).
+   * @param {Partial<MotionTuning>} t
+   */
+  function setTuning(t) {
+    if (t.filter && t.filter !== filter.name && t.filter in ORIENTATION_FILTERS) {
+      const prev = filter.params;
+      filter = ORIENTATION_FILTERS[t.filter]();
+      // Carry shared params (e.g. smoothing-derived cutoff/tau) across the swap.
+      filter.setParams(prev);
+      filter.setParams({ tau: smoothingTau });
+    }
+    filter.setParams(/** @type {Record<string, number>} */ (t));
+    if (Number.isFinite(t.deadZoneDeg)) deadZone = clamp(Number(t.deadZoneDeg), 0, 10) * DEG2RAD;
+    if (Number.isFinite(t.curveExponent)) curve.exponent = clamp(Number(t.curveExponent), 0.25, 4);
+    if (Number.isFinite(t.curveRangeDeg)) curve.range = clamp(Number(t.curveRangeDeg), 1, 180) * DEG2RAD;
+    if (Number.isFinite(t.pitchLimitDeg)) {
+      pitchLimit = clamp(Number(t.pitchLimitDeg), 0, 89) * DEG2RAD;
+      touchTargetPitch = clamp(touchTargetPitch, -pitchLimit, pitchLimit);
+    }
+    recomputeTarget();
+  }
+
+  /**
+   * @returns {MotionTuning}
+   */
+  function getTuning() {
+    const p = filter.params;
+    return {
+      filter: /** @type {MotionTuning['filter']} */ (filter.name),
+      minCutoff: p.minCutoff ?? NaN,
+      beta: p.beta ?? NaN,
+      dCutoff: p.dCutoff ?? NaN,
+      tau: p.tau ?? smoothingTau,
+      deadZoneDeg: deadZone / DEG2RAD,
+      curveExponent: curve.exponent,
+      curveRangeDeg: curve.range / DEG2RAD,
+      pitchLimitDeg: pitchLimit / DEG2RAD,
+    };
+  }
+
+  /**
+   * Start recording raw input. The current screen rotation and sensor reading are
+   * written first so the replay starts from the same state.
+   */
+  function startRecording() {
+    recorder.start();
+    recorder.add({ type: 'screen', angle: screenAngle / DEG2RAD });
+    if (sensor.beta != null && sensor.gamma != null) {
+      recorder.add({ type: 'orientation', alpha: sensor.alpha, beta: sensor.beta, gamma: sensor.gamma });
     }
   }
 
+  /**
+   * @returns {import('./motionReplay.js').MotionRecording | null} null if not recording
+   */
+  function stopRecording() {
+    return recorder.stop();
+  }
+
+  /**
+   * @param {import('./motionReplay.js').MotionSample} sample
+   */
+  function dispatchSample(sample) {
+    if (sample.type === 'orientation') {
+      onDeviceOrientation(sample);
+    } else if (sample.type === 'heading') {
+      onAbsoluteOrientation(sample);
+    } else if (sample.type === 'screen') {
+      screenAngle = sample.angle * DEG2RAD;
+      recomputeTarget();
+    } else {
+      const e = { type: sample.type, pointerId: sample.id, clientX: sample.x, clientY: sample.y, timeStamp: replay?.timeMs ?? 0 };
+      if (sample.type === 'pointerdown') onPointerDown(e);
+      else if (sample.type === 'pointermove') onPointerMove(e);
+      else onPointerUp(e);
+    }
+  }
+
+  /**
+   * Feed a recording through the live input path, advanced by `update(dt)`.
+   * @param {import('./motionReplay.js').MotionRecording} recording
+   * @param {{ speed?: number, loop?: boolean }} [opts]
+   */
+  function playRecording(recording, opts = {}) {
+    if (replay) stopReplay();
+    recorder.stop();
+    motionEnabledBeforeReplay = motionEnabled;
+    if (recording.events.some((e) => e.type === 'orientation')) {
+      motionEnabled = true;
+      hasYawOffset = false;
+    }
+    sensor.alpha = sensor.beta = sensor.gamma = null;
+    headingOffset = null;
+    pointer.down = false;
+    pointer.id = -1;
+    touches.clear();
+    pinchDist = 0;
+    touchTargetYaw = touchTargetPitch = 0;
+    velYaw = velPitch = 0;
+    filter.reset();
+    snapPending = true;
+    readingSinceResume = false;
+    replay = createMotionReplay(recording, { ...opts, onSample: dispatchSample });
+  }
+
+  function stopReplay() {
+    if (!replay) return;
+    replay = null;
+    motionEnabled = motionEnabledBeforeReplay;
+    pointer.down = false;
+    pointer.id = -1;
+    touches.clear();
+    pinchDist = 0;
+    // Back to the real device: next live reading faces forward.
+    sensor.alpha = sensor.beta = sensor.gamma = null;
+    headingOffset = null;
+    hasYawOffset = false;
+    screenAngle = getScreenAngle();
+  }
+
+  /**
+   * Rotation about world up that turns -Z toward real north, in the same frame as the camera
+   * (recenter offset included). null without motion or without a compass reading.
+   * @returns {number | null} radians
+   */
+  function getNorthYaw() {
+    if (!motionEnabled || headingOffset == null || !hasYawOffset) return null;
+    return yawOffset - headingOffset * DEG2RAD;
+  }
+
+  /**
+   * @returns {number | null} degrees clockwise from north the camera faces
+   */
+  function getHeading() {
+    const north = getNorthYaw();
+    if (north == null) return null;
+    const deg = (north - yaw) / DEG2RAD;
+    return Math.round(((deg % 360) + 360) % 360);
+  }
+
   function getStatus() {
     return {
       motionEnabled,
@@ -221,6 +918,18 @@ export function createMotionController(canvas) {
       gamma: sensor.gamma != null ? sensor.gamma.toFixed(1) : null,
       yaw,
       pitch,
+      screenAngle: Math.round(screenAngle / DEG2RAD),
+      yawOffset,
+      heading: getHeading(),
+      tuning: getTuning(),
+      // Live filter values (e.g. One Euro: angular speed rad/s and current cutoff Hz).
+      filter: filter.status,
+      deadZoneHolding,
+      fovScale,
+      pointerLocked,
+      gazeRecenterArmed: gazeArmed,
+      recording: recorder.recording,
+      replay: replay ? { timeMs: replay.timeMs, durationMs: replay.durationMs, speed: replay.speed } : null,
     };
   }
 
@@ -228,6 +937,21 @@ export function createMotionController(canvas) {
     setActive,
     enableMotionFromUserGesture,
     recenter,
+    look,
+    setSensitivity,
+    setSmoothing,
+    setTuning,
+    getTuning,
+    setPointerLock,
+    setGazeRecenter,
+    getNorthYaw,
+    zoomBy,
+    startRecording,
+    stopRecording,
+    playRecording,
+    stopReplay,
+    suspend,
+    resume,
     update,
     applyToCamera,
     getStatus,
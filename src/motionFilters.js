@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+/**
+ * Motion filters (sensor orientation -> camera orientation)
+ *
+ * Stage order in `motion.js`: dead zone -> filter -> (response curve on tilt, applied to the target).
+ *
+ * Filters share one small interface so they can be swapped at runtime:
+ *   apply(current, target, dt)  move `current` toward `target` (both quaternions, in place)
+ *   reset()                     forget history (next apply snaps)
+ *   setParams(p) / params       tuning
+ *   status                      live values for `getStatus()`
+ *
+ * @typedef {{ minCutoff: number, beta: number, dCutoff: number }} OneEuroParams
+ * @typedef {{ tau: number }} ExponentialParams
+ *
+ * @typedef {{
+ *  name: string,
+ *  apply: (current: THREE.Quaternion, target: THREE.Quaternion, dt: number) => void,
+ *  reset: () => void,
+ *  setParams: (p: Record<string, number>) => void,
+ *  readonly params: Record<string, number>,
+ *  readonly status: Record<string, number>,
+ * }} OrientationFilter
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Low-pass weight for a cutoff frequency (Hz) at step `dt` (s).
+ * @param {number} cutoffHz
+ * @param {number} dt
+ */
+function smoothingAlpha(cutoffHz, dt) {
+  const tau = 1 / (2 * Math.PI * Math.max(1e-3, cutoffHz));
+  return 1 / (1 + tau / Math.max(1e-6, dt));
+}
+
+/**
+ * Angle (radians) between two orientations.
+ * @param {THREE.Quaternion} a
+ * @param {THREE.Quaternion} b
+ */
+export function angleBetween(a, b) {
+  return 2 * Math.acos(clamp(Math.abs(a.dot(b)), -1, 1));
+}
+
+/**
+ * One Euro filter on rotations (Casiez et al. 2012).
+ * Cutoff rises with angular speed: heavy smoothing at rest (no jitter), little during fast turns (no lag).
+ *
+ * @param {Partial<OneEuroParams>} [initial]
+ * @returns {OrientationFilter}
+ */
+export function createOneEuroOrientationFilter(initial = {}) {
+  /** @type {OneEuroParams} */
+  const params = { minCutoff: 1.0, beta: 0.8, dCutoff: 1.0, ...initial };
+  // Filtered angular speed (rad/s) and the cutoff used on the last step.
+  let speed = 0;
+  let cutoff = params.minCutoff;
+  let primed = false;
+
+  return {
+    name: 'oneEuro',
+    apply(current, target, dt) {
+      if (!primed || !(dt > 0)) {
+        current.copy(target);
+        primed = true;
+        return;
+      }
+      const rawSpeed = angleBetween(current, target) / dt;
+      speed += (rawSpeed - speed) * smoothingAlpha(params.dCutoff, dt);
+      cutoff = params.minCutoff + params.beta * speed;
+      current.slerp(target, smoothingAlpha(cutoff, dt));
+    },
+    reset() {
+      primed = false;
+      speed = 0;
+    },
+    setParams(p) {
+      if (Number.isFinite(p.minCutoff)) params.minCutoff = clamp(p.minCutoff, 0.01, 30);
+      if (Number.isFinite(p.beta)) params.beta = clamp(p.beta, 0, 20);
+      if (Number.isFinite(p.dCutoff)) params.dCutoff = clamp(p.dCutoff, 0.01, 30);
+    },
+    get params() {
+      return { ...params };
+    },
+    get status() {
+      return { speed, cutoffHz: cutoff };
+    },
+  };
+}
+
+/**
+ * Plain exponential smoothing with a time constant (the original motion.js behavior).
+ * @param {Partial<ExponentialParams>} [initial]
+ * @returns {OrientationFilter}
+ */
+export function createExponentialOrientationFilter(initial = {}) {
+  /** @type {ExponentialParams} */
+  const params = { tau: 0.145, ...initial };
+  let lastAlpha = 1;
+
+  return {
+    name: 'exponential',
+    apply(current, target, dt) {
+      lastAlpha = params.tau > 0 ? clamp(1 - Math.exp(-dt / params.tau), 0, 1) : 1;
+      current.slerp(target, lastAlpha);
+    },
+    reset() {
+      lastAlpha = 1;
+    },
+    setParams(p) {
+      if (Number.isFinite(p.tau)) params.tau = clamp(p.tau, 0, 2);
+    },
+    get params() {
+      return { ...params };
+    },
+    get status() {
+      return { alpha: lastAlpha };
+    },
+  };
+}
+
+/**
+ * No filtering: the camera follows the sensor exactly.
+ * @returns {OrientationFilter}
+ */
+export function createPassthroughOrientationFilter() {
+  return {
+    name: 'none',
+    apply(current, target) {
+      current.copy(target);
+    },
+    reset() {},
+    setParams() {},
+    get params() {
+      return {};
+    },
+    get status() {
+      return {};
+    },
+  };
+}
+
+export const ORIENTATION_FILTERS = {
+  oneEuro: createOneEuroOrientationFilter,
+  exponential: createExponentialOrientationFilter,
+  none: createPassthroughOrientationFilter,
+};
+
+/**
+ * Soft dead zone: moves `out` from `current` toward `target` only by the part of the
+ * difference that exceeds `deadZone` (radians). Small sensor noise never reaches the filter,
+ * and there is no jump when motion crosses the threshold.
+ * @param {THREE.Quaternion} out
+ * @param {THREE.Quaternion} current
+ * @param {THREE.Quaternion} target
+ * @param {number} deadZone
+ * @returns {boolean} true while holding (difference inside the dead zone)
+ */
+export function applyDeadZone(out, current, target, deadZone) {
+  const angle = angleBetween(current, target);
+  if (deadZone <= 0) {
+    out.copy(target);
+    return false;
+  }
+  if (angle <= deadZone) {
+    out.copy(current);
+    return true;
+  }
+  out.copy(current).slerp(target, (angle - deadZone) / angle);
+  return false;
+}
+
+/**
+ * Non-linear response for a tilt angle (radians).
+ * Inside +-range: `range * (|x| / range) ^ exponent` (exponent > 1 = finer control near center,
+ * < 1 = quicker response); outside it stays linear, so the curve is continuous.
+ * @param {number} x
+ * @param {{ exponent: number, range: number }} curve
+ */
+export function applyResponseCurve(x, curve) {
+  const a = Math.abs(x);
+  if (curve.exponent === 1 || a >= curve.range || curve.range <= 0) return x;
+  return Math.sign(x) * curve.range * Math.pow(a / curve.range, curve.exponent);
+}
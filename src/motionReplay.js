@@ -0,0 +1,173 @@
+/**
+ * Motion session recording / replay
+ *
+ * A recording is plain JSON: timestamped raw inputs as the motion controller received them
+ * (deviceorientation angles, compass heading, pointer events, screen rotation). Replaying feeds them back
+ * through the controller's own handlers, so filters, recenter and touch look behave exactly
+ * as on the device — handy on laptops without a gyroscope.
+ *
+ * @typedef {{
+ *  t: number,
+ *  type: 'orientation',
+ *  alpha: number | null,
+ *  beta: number | null,
+ *  gamma: number | null,
+ *  webkitCompassHeading?: number,
+ *  absolute?: boolean,
+ * }} OrientationSample
+ * @typedef {{ t: number, type: 'heading', alpha: number | null }} HeadingSample
+ *   `deviceorientationabsolute` (compass alpha) where the regular event is relative
+ * @typedef {{ t: number, type: 'pointerdown' | 'pointermove' | 'pointerup' | 'pointercancel', id: number, x: number, y: number }} PointerSample
+ * @typedef {{ t: number, type: 'screen', angle: number }} ScreenSample
+ * @typedef {OrientationSample | HeadingSample | PointerSample | ScreenSample} MotionSample
+ *
+ * @typedef {{
+ *  format: typeof MOTION_RECORDING_FORMAT,
+ *  version: number,
+ *  recordedAt: string,
+ *  userAgent: string,
+ *  durationMs: number,
+ *  events: MotionSample[],
+ * }} MotionRecording
+ */
+
+export const MOTION_RECORDING_FORMAT = 'geometry-drift-motion';
+export const MOTION_RECORDING_VERSION = 1;
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+const SAMPLE_TYPES = new Set([
+  'orientation',
+  'heading',
+  'pointerdown',
+  'pointermove',
+  'pointerup',
+  'pointercancel',
+  'screen',
+]);
+
+/**
+ * Collects samples with times relative to `start()`.
+ */
+export function createMotionRecorder() {
+  /** @type {MotionSample[] | null} */
+  let events = null;
+  let startMs = 0;
+
+  function start() {
+    events = [];
+    startMs = performance.now();
+  }
+
+  /**
+   * @param {Omit<OrientationSample, 't'> | Omit<HeadingSample, 't'> | Omit<PointerSample, 't'> | Omit<ScreenSample, 't'>} sample
+   */
+  function add(sample) {
+    if (!events) return;
+    const t = Math.round((performance.now() - startMs) * 10) / 10;
+    events.push(/** @type {MotionSample} */ ({ t, ...sample }));
+  }
+
+  /**
+   * @returns {MotionRecording | null} null if not recording
+   */
+  function stop() {
+    if (!events) return null;
+    const recording = {
+      format: MOTION_RECORDING_FORMAT,
+      version: MOTION_RECORDING_VERSION,
+      recordedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      durationMs: Math.round(performance.now() - startMs),
+      events,
+    };
+    events = null;
+    return /** @type {MotionRecording} */ (recording);
+  }
+
+  return {
+    start,
+    add,
+    stop,
+    get recording() {
+      return events !== null;
+    },
+  };
+}
+
+/**
+ * Validate parsed JSON (file picker / URL) and sort samples by time.
+ * @param {any} data
+ * @returns {MotionRecording}
+ */
+export function parseMotionRecording(data) {
+  if (!data || data.format !== MOTION_RECORDING_FORMAT || !Array.isArray(data.events)) {
+    throw new Error('Not a motion recording');
+  }
+  if (data.version > MOTION_RECORDING_VERSION) {
+    throw new Error(`Motion recording version ${data.version} is newer than this app supports`);
+  }
+  const events = data.events
+    .filter((e) => e && SAMPLE_TYPES.has(e.type) && Number.isFinite(e.t))
+    .sort((a, b) => a.t - b.t);
+  const last = events.length ? events[events.length - 1].t : 0;
+  return { ...data, events, durationMs: Math.max(Number(data.durationMs) || 0, last) };
+}
+
+/**
+ * Plays a recording against a clock advanced by the caller (`advance(dtMs)` once per frame),
+ * so it follows the app's frame loop, including fixed-step deterministic runs.
+ *
+ * @param {MotionRecording} recording
+ * @param {{ speed?: number, loop?: boolean, onSample: (sample: MotionSample) => void }} opts
+ */
+export function createMotionReplay(recording, opts) {
+  let speed = clamp(opts.speed ?? 1, 0.1, 16);
+  const loop = !!opts.loop;
+  let t = 0;
+  let next = 0;
+  let done = recording.events.length === 0;
+
+  /**
+   * @param {number} dtMs - real frame time; scaled by `speed`
+   */
+  function advance(dtMs) {
+    if (done) return;
+    t += dtMs * speed;
+    const events = recording.events;
+    while (next < events.length && events[next].t <= t) {
+      opts.onSample(events[next]);
+      next++;
+    }
+    if (next >= events.length && t >= recording.durationMs) {
+      if (loop) {
+        t = 0;
+        next = 0;
+      } else {
+        done = true;
+      }
+    }
+  }
+
+  return {
+    advance,
+    /**
+     * @param {number} s - 1 = real time
+     */
+    setSpeed(s) {
+      speed = clamp(s, 0.1, 16);
+    },
+    get done() {
+      return done;
+    },
+    get timeMs() {
+      return t;
+    },
+    get durationMs() {
+      return recording.durationMs;
+    },
+    get speed() {
+      return speed;
+    },
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Adaptive quality
+ *
+ * Watches frame time in the render loop and steps through named tiers:
+ * - step down when frames are consistently slow
+ * - step up when frames have been consistently on target for a while
+ * - hysteresis: separate thresholds, hold times and a cooldown after each change,
+ *   plus a growing back-off for a tier we had to leave before (prevents flicker)
+ *
+ * rAF intervals can't go below the display refresh, so "headroom" means
+ * "sustained at refresh rate", not "faster than refresh".
+ *
+ * @typedef {{
+ *  name: string,
+ *  pixelRatio: number,
+ *  starFraction: number,
+ *  blackHoleTargetScale: number,
+ *  blackHole2Scale: number,
+ * }} QualityTier
+ */
+
+/** @type {QualityTier[]} lowest -> highest */
+export const QUALITY_TIERS = [
+  { name: 'low', pixelRatio: 0.75, starFraction: 0.35, blackHoleTargetScale: 0.5, blackHole2Scale: 0.5 },
+  { name: 'medium', pixelRatio: 1, starFraction: 0.6, blackHoleTargetScale: 0.75, blackHole2Scale: 0.75 },
+  { name: 'high', pixelRatio: 1.5, starFraction: 1, blackHoleTargetScale: 1, blackHole2Scale: 1 },
+  { name: 'ultra', pixelRatio: 2, starFraction: 1, blackHoleTargetScale: 1, blackHole2Scale: 1 },
+];
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * @param {{
+ *  tiers?: QualityTier[],
+ *  initialTier?: string,
+ *  targetFrameMs?: number,
+ *  onChange?: (tier: QualityTier, reason: 'slow' | 'headroom' | 'manual') => void,
+ * }} [opts]
+ */
+export function createQualityManager(opts = {}) {
+  const tiers = opts.tiers ?? QUALITY_TIERS;
+  const targetFrameMs = opts.targetFrameMs ?? 1000 / 60;
+
+  // Slow: average frame > 1.3x target (~46 fps at 60 Hz) for DOWN_HOLD_MS.
+  const DOWN_FACTOR = 1.3;
+  // Headroom: average frame within 1.08x target for UP_HOLD_MS.
+  const UP_FACTOR = 1.08;
+  const DOWN_HOLD_MS = 1500;
+  const UP_HOLD_MS = 6000;
+  const COOLDOWN_MS = 2500;
+  const MAX_UP_BACKOFF = 8;
+  // Exponential moving average weight per sample.
+  const EMA_ALPHA = 0.1;
+
+  const initialIdx = tiers.findIndex((t) => t.name === opts.initialTier);
+  let tierIdx = initialIdx >= 0 ? initialIdx : Math.min(2, tiers.length - 1);
+  let auto = true;
+
+  let avgMs = targetFrameMs;
+  let slowForMs = 0;
+  let fastForMs = 0;
+  let holdMs = 0;
+  // Per-tier multiplier on UP_HOLD_MS; doubles each time a tier proves too slow.
+  const upBackoff = tiers.map(() => 1);
+
+  function resetCounters() {
+    slowForMs = 0;
+    fastForMs = 0;
+    avgMs = targetFrameMs;
+  }
+
+  /**
+   * @param {number} idx
+   * @param {'slow' | 'headroom' | 'manual'} reason
+   */
+  function setTierIdx(idx, reason) {
+    const next = clamp(idx, 0, tiers.length - 1);
+    if (next === tierIdx) return;
+    tierIdx = next;
+    holdMs = COOLDOWN_MS;
+    resetCounters();
+    opts.onChange?.(tiers[tierIdx], reason);
+  }
+
+  /**
+   * Feed one frame interval. Call every frame with the real (unclamped) delta.
+   * @param {number} frameMs
+   */
+  function sample(frameMs) {
+    if (!auto || !(frameMs > 0)) return;
+    // Long gaps (tab switch, breakpoint) say nothing about rendering cost.
+    if (frameMs > 250) return;
+
+    avgMs += (frameMs - avgMs) * EMA_ALPHA;
+
+    if (holdMs > 0) {
+      holdMs -= frameMs;
+      return;
+    }
+
+    if (avgMs > targetFrameMs * DOWN_FACTOR) {
+      slowForMs += frameMs;
+      fastForMs = 0;
+      if (slowForMs >= DOWN_HOLD_MS && tierIdx > 0) {
+        upBackoff[tierIdx] = Math.min(MAX_UP_BACKOFF, upBackoff[tierIdx] * 2);
+        setTierIdx(tierIdx - 1, 'slow');
+      }
+    } else if (avgMs < targetFrameMs * UP_FACTOR) {
+      fastForMs += frameMs;
+      slowForMs = 0;
+      const nextIdx = tierIdx + 1;
+      if (nextIdx < tiers.length && fastForMs >= UP_HOLD_MS * upBackoff[nextIdx]) {
+        setTierIdx(nextIdx, 'headroom');
+      }
+    } else {
+      // In between: neither direction accumulates.
+      slowForMs = 0;
+      fastForMs = 0;
+    }
+  }
+
+  /**
+   * Ignore samples for a while (view switch, lazy view build, transitions).
+   * @param {number} ms
+   */
+  function hold(ms) {
+    holdMs = Math.max(holdMs, ms);
+    resetCounters();
+  }
+
+  /**
+   * Lock a tier by name, or pass 'auto' to resume adaptation from the current tier.
+   * @param {string} name
+   */
+  function setMode(name) {
+    if (name === 'auto') {
+      auto = true;
+      hold(COOLDOWN_MS);
+      return;
+    }
+    const idx = tiers.findIndex((t) => t.name === name);
+    if (idx < 0) return;
+    auto = false;
+    setTierIdx(idx, 'manual');
+  }
+
+  return {
+    sample,
+    hold,
+    setMode,
+    get tier() {
+      return tiers[tierIdx];
+    },
+    get tiers() {
+      return tiers;
+    },
+    get auto() {
+      return auto;
+    },
+    get averageFrameMs() {
+      return avgMs;
+    },
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Shared randomness
+ *
+ * Views draw from `random()` instead of `Math.random()`, so one seed
+ * (`?seed=42`, see main.js) makes every starfield and respawn reproducible.
+ * Unseeded, `random()` is plain `Math.random()`.
+ */
+
+/**
+ * Small, fast 32-bit PRNG; good enough for visuals.
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** @type {() => number} */
+let source = Math.random;
+/** @type {number | null} */
+let currentSeed = null;
+
+/**
+ * @returns {number} uniform in [0, 1)
+ */
+export function random() {
+  return source();
+}
+
+/**
+ * Restart the shared sequence from `seed`, or pass null to go back to `Math.random`.
+ * @param {number | null} seed
+ */
+export function setRandomSeed(seed) {
+  currentSeed = seed == null || !Number.isFinite(seed) ? null : seed;
+  source = currentSeed == null ? Math.random : mulberry32(currentSeed);
+}
+
+/**
+ * @returns {number | null} the active seed (null = unseeded)
+ */
+export function getRandomSeed() {
+  return currentSeed;
+}
@@ -26,3 +26,53 @@ export function createRenderer(canvas) {
   return { renderer, resize };
 }
 
+
+/**
+ * Offscreen target that receives exactly what the canvas would show.
+ *
+ * Three applies `toneMapping` / `outputColorSpace` only when drawing to the screen
+ * or to an XR target; flagging the target as XR-style gives identical pixels offscreen,
+ * so it can be blended, captured or split per eye without a second tone-mapping pass.
+ *
+ * @param {number} w - device pixels
+ * @param {number} h - device pixels
+ */
+export function createDisplayRenderTarget(w, h) {
+  const target = new THREE.WebGLRenderTarget(Math.max(1, w), Math.max(1, h), {
+    format: THREE.RGBAFormat,
+    type: THREE.UnsignedByteType,
+    colorSpace: THREE.SRGBColorSpace,
+    depthBuffer: true,
+  });
+  // @ts-ignore - see comment above
+  target.isXRRenderTarget = true;
+  return target;
+}
+
+/**
+ * Draw a view into `target` (null = canvas).
+ * Views with their own `render(tMs, target, eye)` manage their passes; plain scene/camera
+ * views are drawn here.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {{
+ *  scene: any,
+ *  camera: any,
+ *  render?: (tMs: number, target?: THREE.WebGLRenderTarget | null, eye?: import('./stereo.js').StereoEye) => void,
+ * }} view
+ * @param {number} tMs
+ * @param {THREE.WebGLRenderTarget | null} [target]
+ * @param {import('./stereo.js').StereoEye} [eye] - one eye of a stereo pair (stereo.js)
+ */
+export function renderView(renderer, view, tMs, target = null, eye = undefined) {
+  if (view.render) {
+    view.render(tMs, target, eye);
+    return;
+  }
+  // If the previous view used raw GL drawing, ensure Three re-syncs its internal state.
+  // (Calling resetState() is cheap and avoids subtle state leakage.)
+  renderer.resetState();
+  renderer.setRenderTarget(target);
+  renderer.render(view.scene, eye?.camera ?? view.camera);
+  if (target) renderer.setRenderTarget(null);
+}
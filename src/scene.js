@@ -1,6 +1,10 @@
 import * as THREE from 'three';
 import { createConstellationLayer } from './constellations.js';
 import { createSunRig } from './sun.js';
+import { disposeObject3D } from './dispose.js';
+import { random } from './random.js';
+import { createAudioReactiveOptions } from './audioReactive.js';
+import { appEvents } from './appEvents.js';
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
@@ -12,6 +16,8 @@ const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
  * - centered pulsar indicator with fast pulsations (attached to camera)
  * - forward-movement illusion by moving stars toward the camera
  *
+ * Events (while active): 'pulsar:tick' once per pulse, 'sun:inView'.
+ *
  * @param {import('three').WebGLRenderer} renderer
  */
 export function createPulsarViewScene(renderer) {
@@ -42,13 +48,14 @@ export function createPulsarViewScene(renderer) {
   const FIELD_RADIUS = 18;
   const FIELD_DEPTH = 140;
   const STAR_SPEED = 18; // units/sec (toward camera)
+  const PULSE_PERIOD = 1 / 3; // seconds (3 pulses/sec)
 
   const positions = new Float32Array(STAR_COUNT * 3);
 
   for (let i = 0; i < STAR_COUNT; i++) {
-    const x = (Math.random() * 2 - 1) * FIELD_RADIUS;
-    const y = (Math.random() * 2 - 1) * FIELD_RADIUS;
-    const z = -Math.random() * FIELD_DEPTH; // in front of camera (-z)
+    const x = (random() * 2 - 1) * FIELD_RADIUS;
+    const y = (random() * 2 - 1) * FIELD_RADIUS;
+    const z = -random() * FIELD_DEPTH; // in front of camera (-z)
     const idx = i * 3;
     positions[idx + 0] = x;
     positions[idx + 1] = y;
@@ -72,6 +79,9 @@ export function createPulsarViewScene(renderer) {
   const stars = new THREE.Points(geo, mat);
   scene.add(stars);
 
+  // Quality tiers draw (and animate) only the first N stars.
+  let activeStars = STAR_COUNT;
+
   // Brighter constellation layer (real-ish sky placement via RA/Dec).
   // This stays static (unlike the moving star streak field).
   const constellations = createConstellationLayer({
@@ -87,13 +97,18 @@ export function createPulsarViewScene(renderer) {
   const sun = createSunRig({
     position: new THREE.Vector3(-230, 65, -105),
     radius: 7,
+    onEnterView: () => {
+      if (active) appEvents.emit('sun:inView', { view: 'pulsar' });
+    },
   });
   scene.add(sun.object);
 
-  function resize(w, h, dpr) {
+  function resize(w, h, dpr, layout = {}) {
     camera.aspect = w / h;
     camera.updateProjectionMatrix();
-    renderer.setPixelRatio(clamp(dpr, 1, 2));
+    if (layout.offscreen) return;
+    // Lower bound < 1 so the low quality tier can render below native resolution.
+    renderer.setPixelRatio(clamp(dpr, 0.5, 2));
     renderer.setSize(w, h, false);
   }
 
@@ -101,27 +116,97 @@ export function createPulsarViewScene(renderer) {
    * @param {number} dt
    */
   let t = 0;
+  // Music: beats flash the constellations, the sun swells with the bass.
+  const audio = createAudioReactiveOptions();
+  // Seconds since the last pulse.
+  let sincePulse = 0;
   function update(dt) {
     t += dt;
+    sincePulse += dt;
+    if (sincePulse >= PULSE_PERIOD) {
+      // Long frames (tab stalls) fire one pulse, not a burst.
+      sincePulse %= PULSE_PERIOD;
+      if (active) appEvents.emit('pulsar:tick');
+    }
+    constellations.userData.setPulse(audio.features.beat);
     constellations.userData?.update?.(dt);
+    sun.setPulse(audio.features.bass);
     sun.update(dt, camera);
 
     const pos = geo.attributes.position.array;
-    for (let i = 0; i < STAR_COUNT; i++) {
+    for (let i = 0; i < activeStars; i++) {
       const idx = i * 3 + 2;
       pos[idx] += STAR_SPEED * dt;
       if (pos[idx] > 0.5) {
         // Recycle star back into the distance
         pos[idx] = -FIELD_DEPTH;
         const j = i * 3;
-        pos[j + 0] = (Math.random() * 2 - 1) * FIELD_RADIUS;
-        pos[j + 1] = (Math.random() * 2 - 1) * FIELD_RADIUS;
+        pos[j + 0] = (random() * 2 - 1) * FIELD_RADIUS;
+        pos[j + 1] = (random() * 2 - 1) * FIELD_RADIUS;
       }
     }
     geo.attributes.position.needsUpdate = true;
   }
 
-  return { name: 'Pulsar View Scene', scene, camera, update, resize };
+  function getOptions() {
+    return audio.getOptions();
+  }
+
+  /**
+   * @param {string} key
+   * @param {number | boolean} value
+   */
+  function setOption(key, value) {
+    audio.setOption(key, value);
+  }
+
+  /**
+   * @param {import('./quality.js').QualityTier} tier
+   */
+  function setQuality(tier) {
+    activeStars = Math.max(1, Math.round(STAR_COUNT * tier.starFraction));
+    geo.setDrawRange(0, activeStars);
+  }
+
+  // The outgoing view still updates during a transition; only the active one emits.
+  let active = false;
+  /**
+   * @param {boolean} isActive
+   */
+  function setActive(isActive) {
+    active = isActive;
+  }
+
+  function dispose() {
+    disposeObject3D(scene);
+  }
+
+  /**
+   * Real-sky alignment (main.js): equatorial -> world rotation, null = default orientation.
+   * @param {THREE.Quaternion | null} q
+   */
+  function setSkyOrientation(q) {
+    constellations.userData.setSkyOrientation(q);
+  }
+
+  return {
+    name: 'Pulsar View Scene',
+    scene,
+    camera,
+    update,
+    resize,
+    setActive,
+    dispose,
+    getOptions,
+    setOption,
+    setQuality,
+    setSkyOrientation,
+    setAudioFeatures: audio.apply,
+    // `transitionIn`: entry effect for view transitions.
+    transitionIn: 'warp',
+    music: { url: '/sounds/Black_Hole_BG.wav', gain: 0.6 },
+    audioAnchors: [{ object: sun.object, focus: 0.75, sound: { drone: 'sun:hum', gain: 0.5, refDistance: 250 } }],
+  };
 }
 
 // Backwards-compatible alias (older code may still import createScene)
@@ -0,0 +1,239 @@
+import { EYE_SEPARATION_RANGE_MM } from './stereo.js';
+
+/**
+ * User settings (persisted to localStorage)
+ *
+ * - `DEFAULT_SETTINGS` is the schema; stored values are merged over it so new keys
+ *   get defaults and removed keys are dropped.
+ * - Per-view options live under `views[viewId][optionKey]`; views describe them via
+ *   `view.getOptions()` and apply them with `view.setOption(key, value)`.
+ *
+ * @typedef {{
+ *  audio: { master: number, music: number, sfx: number, ambience: number, muted: boolean },
+ *  haptics: { enabled: boolean, intensity: number },
+ *  motion: { sensitivity: number, smoothing: number, pointerLock: boolean },
+ *  display: {
+ *    pixelRatioCap: number,
+ *    transition: string,
+ *    quality: string,
+ *    stereo: boolean,
+ *    eyeSeparationMm: number,
+ *    lensDistortion: boolean,
+ *  },
+ *  capture: { size: string, clipSeconds: number },
+ *  sky: { align: boolean, latitude: number, longitude: number },
+ *  views: Record<string, Record<string, number | boolean | string>>,
+ * }} Settings
+ *
+ * @typedef {{
+ *  key: string,
+ *  label: string,
+ *  type: 'range' | 'toggle',
+ *  min?: number,
+ *  max?: number,
+ *  step?: number,
+ *  default: number | boolean,
+ *  value: number | boolean,
+ * }} ViewOption
+ */
+
+export const SETTINGS_STORAGE_KEY = 'geometry-drift:settings:v1';
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+  audio: { master: 0.8, music: 0.6, sfx: 1.0, ambience: 0.8, muted: false },
+  // intensity scales gamepad rumble strength and phone vibration length
+  haptics: { enabled: true, intensity: 0.8 },
+  // sensitivity: sensor angle scale; smoothing: 0 = raw, 1 = heaviest filtering
+  motion: { sensitivity: 0.9, smoothing: 0.5, pointerLock: false },
+  // transition: 'auto' lets each view pick its entry effect; 'off' switches instantly
+  // quality: 'auto' adapts to frame time; a tier name (see quality.js) locks it
+  display: {
+    pixelRatioCap: 2,
+    transition: 'auto',
+    quality: 'auto',
+    stereo: false,
+    eyeSeparationMm: 64,
+    lensDistortion: true,
+  },
+  // size: key of CAPTURE_SIZES in capture.js
+  capture: { size: 'screen', clipSeconds: 5 },
+  // align: rotate the constellations onto the real sky (compass + sidereal time); degrees, east positive
+  sky: { align: false, latitude: 0, longitude: 0 },
+  views: {},
+};
+
+/**
+ * Clamp/normalize stored values so a hand-edited or stale entry can't break startup.
+ * @param {any} raw
+ * @returns {Settings}
+ */
+function sanitize(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const num = (v, d, lo, hi) => (Number.isFinite(Number(v)) ? clamp(Number(v), lo, hi) : d);
+  const d = DEFAULT_SETTINGS;
+
+  /** @type {Settings['views']} */
+  const views = {};
+  if (src.views && typeof src.views === 'object') {
+    for (const [id, opts] of Object.entries(src.views)) {
+      if (!opts || typeof opts !== 'object') continue;
+      views[id] = {};
+      for (const [k, v] of Object.entries(opts)) {
+        if (['number', 'boolean', 'string'].includes(typeof v)) views[id][k] = /** @type {any} */ (v);
+      }
+    }
+  }
+
+  return {
+    audio: {
+      master: num(src.audio?.master, d.audio.master, 0, 1),
+      music: num(src.audio?.music, d.audio.music, 0, 1),
+      sfx: num(src.audio?.sfx, d.audio.sfx, 0, 1),
+      ambience: num(src.audio?.ambience, d.audio.ambience, 0, 1),
+      muted: typeof src.audio?.muted === 'boolean' ? src.audio.muted : d.audio.muted,
+    },
+    haptics: {
+      enabled: typeof src.haptics?.enabled === 'boolean' ? src.haptics.enabled : d.haptics.enabled,
+      intensity: num(src.haptics?.intensity, d.haptics.intensity, 0, 1),
+    },
+    motion: {
+      sensitivity: num(src.motion?.sensitivity, d.motion.sensitivity, 0.1, 3),
+      smoothing: num(src.motion?.smoothing, d.motion.smoothing, 0, 1),
+      pointerLock: typeof src.motion?.pointerLock === 'boolean' ? src.motion.pointerLock : d.motion.pointerLock,
+    },
+    display: {
+      pixelRatioCap: num(src.display?.pixelRatioCap, d.display.pixelRatioCap, 1, 2),
+      transition: typeof src.display?.transition === 'string' ? src.display.transition : d.display.transition,
+      quality: typeof src.display?.quality === 'string' ? src.display.quality : d.display.quality,
+      stereo: typeof src.display?.stereo === 'boolean' ? src.display.stereo : d.display.stereo,
+      eyeSeparationMm: num(src.display?.eyeSeparationMm, d.display.eyeSeparationMm, ...EYE_SEPARATION_RANGE_MM),
+      lensDistortion:
+        typeof src.display?.lensDistortion === 'boolean' ? src.display.lensDistortion : d.display.lensDistortion,
+    },
+    capture: {
+      size: typeof src.capture?.size === 'string' ? src.capture.size : d.capture.size,
+      clipSeconds: num(src.capture?.clipSeconds, d.capture.clipSeconds, 1, 30),
+    },
+    sky: {
+      align: typeof src.sky?.align === 'boolean' ? src.sky.align : d.sky.align,
+      latitude: num(src.sky?.latitude, d.sky.latitude, -90, 90),
+      longitude: num(src.sky?.longitude, d.sky.longitude, -180, 180),
+    },
+    views,
+  };
+}
+
+/**
+ * @returns {Settings}
+ */
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    return sanitize(raw ? JSON.parse(raw) : null);
+  } catch {
+    // Private mode / corrupted JSON: fall back to defaults.
+    return sanitize(null);
+  }
+}
+
+/**
+ * @param {Settings} settings
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage full or unavailable; settings still apply for this session.
+  }
+}
+
+/**
+ * Observable settings store. Writes are persisted (debounced).
+ *
+ * @param {{ saveDelayMs?: number }} [opts]
+ */
+export function createSettingsStore(opts = {}) {
+  const saveDelayMs = opts.saveDelayMs ?? 250;
+  let values = loadSettings();
+  /** @type {Set<(s: Settings, section: string) => void>} */
+  const listeners = new Set();
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let saveTimer = null;
+
+  function scheduleSave() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saveSettings(values);
+    }, saveDelayMs);
+  }
+
+  function emit(section) {
+    for (const fn of listeners) fn(values, section);
+  }
+
+  /**
+   * Update one field of a top-level section.
+   * @template {'audio' | 'haptics' | 'motion' | 'display' | 'capture' | 'sky'} K
+   * @param {K} section
+   * @param {keyof Settings[K]} key
+   * @param {any} value
+   */
+  function set(section, key, value) {
+    values = sanitize({ ...values, [section]: { ...values[section], [key]: value } });
+    scheduleSave();
+    emit(section);
+  }
+
+  /**
+   * @param {string} viewId
+   * @param {string} key
+   * @param {number | boolean | string} value
+   */
+  function setViewOption(viewId, key, value) {
+    const views = { ...values.views, [viewId]: { ...(values.views[viewId] || {}), [key]: value } };
+    values = sanitize({ ...values, views });
+    scheduleSave();
+    emit('views');
+  }
+
+  /**
+   * @param {string} viewId
+   */
+  function resetView(viewId) {
+    const views = { ...values.views };
+    delete views[viewId];
+    values = sanitize({ ...values, views });
+    scheduleSave();
+    emit('views');
+  }
+
+  function reset() {
+    values = sanitize(null);
+    scheduleSave();
+    emit('all');
+  }
+
+  /**
+   * @param {(s: Settings, section: string) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    get values() {
+      return values;
+    },
+    set,
+    setViewOption,
+    resetView,
+    reset,
+    subscribe,
+  };
+}
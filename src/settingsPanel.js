@@ -0,0 +1,438 @@
+import { EYE_SEPARATION_RANGE_MM } from './stereo.js';
+
+/**
+ * Settings overlay (HUD)
+ * - Gear button toggles a panel with audio / haptics / motion / display / per-view controls
+ * - Every control writes straight to the settings store; `main.js` applies changes
+ *
+ * @typedef {import('./settings.js').ViewOption} ViewOption
+ */
+
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+/**
+ * @param {string} tag
+ * @param {Record<string, string>} [attrs]
+ * @param {(Node | string)[]} [children]
+ */
+function el(tag, attrs = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'text') node.textContent = v;
+    else node.setAttribute(k, v);
+  }
+  for (const c of children) node.append(c);
+  return node;
+}
+
+/**
+ * @param {{
+ *  label: string,
+ *  min: number,
+ *  max: number,
+ *  step: number,
+ *  value: number,
+ *  format?: (v: number) => string,
+ *  onInput: (v: number) => void,
+ * }} o
+ */
+function rangeRow(o) {
+  const format = o.format ?? ((v) => String(Number(v.toFixed(3))));
+  const input = /** @type {HTMLInputElement} */ (
+    el('input', { type: 'range', min: String(o.min), max: String(o.max), step: String(o.step) })
+  );
+  input.value = String(o.value);
+  const out = el('output', { text: format(o.value) });
+  input.addEventListener('input', () => {
+    const v = Number(input.value);
+    out.textContent = format(v);
+    o.onInput(v);
+  });
+  return el('label', { class: 'settings-row' }, [el('span', { text: o.label }), input, out]);
+}
+
+/**
+ * @param {{ label: string, value: boolean, onChange: (v: boolean) => void }} o
+ */
+function toggleRow(o) {
+  const input = /** @type {HTMLInputElement} */ (el('input', { type: 'checkbox' }));
+  input.checked = o.value;
+  input.addEventListener('change', () => o.onChange(input.checked));
+  return el('label', { class: 'settings-row settings-toggle' }, [el('span', { text: o.label }), input]);
+}
+
+/**
+ * @param {{ label: string, value: string, options: [string, string][], onChange: (v: string) => void }} o
+ */
+function selectRow(o) {
+  const select = /** @type {HTMLSelectElement} */ (el('select'));
+  for (const [value, text] of o.options) select.append(el('option', { value, text }));
+  select.value = o.value;
+  select.addEventListener('change', () => o.onChange(select.value));
+  return el('label', { class: 'settings-row' }, [el('span', { text: o.label }), select]);
+}
+
+/**
+ * @param {string} title
+ * @param {Node[]} rows
+ */
+function section(title, rows) {
+  return el('section', { class: 'settings-section' }, [el('h3', { text: title }), ...rows]);
+}
+
+/**
+ * @param {{
+ *  container: HTMLElement,
+ *  store: ReturnType<typeof import('./settings.js').createSettingsStore>,
+ *  getActiveView: () => { id: string, view: any },
+ *  transitionEffects: string[],
+ *  qualityTiers: string[],
+ *  captureSizes: string[],
+ *  onCapture: (kind: 'png' | 'clip') => void,
+ *  isRecording: () => boolean,
+ *  sky: { onLocate: () => void, heading: () => number | null },
+ *  motionSession: {
+ *    recording: () => boolean,
+ *    replaying: () => boolean,
+ *    onToggleRecord: () => void,
+ *    onLoad: (file: File) => void,
+ *    onStopReplay: () => void,
+ *  },
+ *  diagnostics: { count: () => number, onExport: () => void },
+ *  soundStatus: () => { loaded: number, synth: number, failed: number, missing: number, loading: number },
+ * }} opts
+ */
+export function createSettingsPanel(opts) {
+  /**
+   * @param {ReturnType<typeof opts.soundStatus>} st
+   */
+  function soundStatusText(st) {
+    if (st.loading) return `Sounds: loading ${st.loading}…`;
+    const parts = [`${st.loaded} loaded`];
+    if (st.synth) parts.push(`${st.synth} synthesized`);
+    if (st.missing) parts.push(`${st.missing} missing`);
+    if (st.failed) parts.push(`${st.failed} failed`);
+    return `Sounds: ${parts.join(', ')}`;
+  }
+
+  const { store } = opts;
+
+  const button = el('button', {
+    id: 'settingsBtn',
+    type: 'button',
+    'aria-label': 'Settings',
+    'aria-expanded': 'false',
+    text: '⚙',
+  });
+  const panel = el('div', { id: 'settingsPanel', role: 'dialog', 'aria-label': 'Settings', hidden: '' });
+  opts.container.append(button, panel);
+
+  let open = false;
+  // A rebuild replaces every control, which would end a slider drag or drop focus mid-edit:
+  // `refresh()` waits while a pointer is down in the panel or a control in it has focus.
+  let pressing = false;
+  let refreshPending = false;
+
+  const busy = () => pressing || panel.contains(document.activeElement);
+
+  function flushRefresh() {
+    if (!refreshPending || busy()) return;
+    refreshPending = false;
+    if (open) render();
+  }
+
+  function render() {
+    refreshPending = false;
+    const s = store.values;
+    const { id, view } = opts.getActiveView();
+
+    const audio = section('Audio', [
+      rangeRow({
+        label: 'Master',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        value: s.audio.master,
+        format: pct,
+        onInput: (v) => store.set('audio', 'master', v),
+      }),
+      rangeRow({
+        label: 'Music',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        value: s.audio.music,
+        format: pct,
+        onInput: (v) => store.set('audio', 'music', v),
+      }),
+      rangeRow({
+        label: 'Effects',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        value: s.audio.sfx,
+        format: pct,
+        onInput: (v) => store.set('audio', 'sfx', v),
+      }),
+      rangeRow({
+        label: 'Ambience',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        value: s.audio.ambience,
+        format: pct,
+        onInput: (v) => store.set('audio', 'ambience', v),
+      }),
+      toggleRow({ label: 'Mute', value: s.audio.muted, onChange: (v) => store.set('audio', 'muted', v) }),
+      el('p', { class: 'settings-note', text: soundStatusText(opts.soundStatus()) }),
+    ]);
+
+    const haptics = section('Haptics', [
+      toggleRow({ label: 'Vibration', value: s.haptics.enabled, onChange: (v) => store.set('haptics', 'enabled', v) }),
+      rangeRow({
+        label: 'Intensity',
+        min: 0,
+        max: 1,
+        step: 0.05,
+        value: s.haptics.intensity,
+        format: pct,
+        onInput: (v) => store.set('haptics', 'intensity', v),
+      }),
+    ]);
+
+    const session = opts.motionSession;
+    const recordBtn = el('button', { type: 'button', text: session.recording() ? 'Stop & save' : 'Record' });
+    recordBtn.addEventListener('click', () => session.onToggleRecord());
+    const fileInput = /** @type {HTMLInputElement} */ (
+      el('input', { type: 'file', accept: '.json,application/json', hidden: '' })
+    );
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files?.[0];
+      if (file) session.onLoad(file);
+    });
+    const loadBtn = el('button', { type: 'button', text: 'Load replay…' });
+    loadBtn.addEventListener('click', () => fileInput.click());
+    const sessionButtons = [recordBtn, loadBtn, fileInput];
+    if (session.replaying()) {
+      const stopBtn = el('button', { type: 'button', text: 'Stop replay' });
+      stopBtn.addEventListener('click', () => session.onStopReplay());
+      sessionButtons.push(stopBtn);
+    }
+
+    const motion = section('Motion', [
+      rangeRow({
+        label: 'Sensitivity',
+        min: 0.1,
+        max: 3,
+        step: 0.05,
+        value: s.motion.sensitivity,
+        format: (v) => `${v.toFixed(2)}×`,
+        onInput: (v) => store.set('motion', 'sensitivity', v),
+      }),
+      rangeRow({
+        label: 'Smoothing',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        value: s.motion.smoothing,
+        format: pct,
+        onInput: (v) => store.set('motion', 'smoothing', v),
+      }),
+      toggleRow({
+        label: 'Mouse look (click to lock)',
+        value: s.motion.pointerLock,
+        onChange: (v) => store.set('motion', 'pointerLock', v),
+      }),
+      el('div', { class: 'settings-buttons' }, sessionButtons),
+    ]);
+
+    const display = section('Display', [
+      rangeRow({
+        label: 'Pixel ratio cap',
+        min: 1,
+        max: 2,
+        step: 0.25,
+        value: s.display.pixelRatioCap,
+        format: (v) => `${v.toFixed(2)}×`,
+        onInput: (v) => store.set('display', 'pixelRatioCap', v),
+      }),
+      selectRow({
+        label: 'Transition',
+        value: s.display.transition,
+        options: [
+          ['auto', 'Per view'],
+          ...opts.transitionEffects.map((e) => /** @type {[string, string]} */ ([e, e[0].toUpperCase() + e.slice(1)])),
+          ['off', 'Off'],
+        ],
+        onChange: (v) => store.set('display', 'transition', v),
+      }),
+      selectRow({
+        label: 'Quality',
+        value: s.display.quality,
+        options: [
+          ['auto', 'Auto'],
+          ...opts.qualityTiers.map((t) => /** @type {[string, string]} */ ([t, t[0].toUpperCase() + t.slice(1)])),
+        ],
+        onChange: (v) => store.set('display', 'quality', v),
+      }),
+      toggleRow({
+        label: 'Stereo (headset viewer)',
+        value: s.display.stereo,
+        onChange: (v) => store.set('display', 'stereo', v),
+      }),
+      rangeRow({
+        label: 'Eye separation',
+        min: EYE_SEPARATION_RANGE_MM[0],
+        max: EYE_SEPARATION_RANGE_MM[1],
+        step: 1,
+        value: s.display.eyeSeparationMm,
+        format: (v) => `${v} mm`,
+        onInput: (v) => store.set('display', 'eyeSeparationMm', v),
+      }),
+      toggleRow({
+        label: 'Lens distortion',
+        value: s.display.lensDistortion,
+        onChange: (v) => store.set('display', 'lensDistortion', v),
+      }),
+    ]);
+
+    const heading = opts.sky.heading();
+    const locate = el('button', { type: 'button', text: 'Use my location' });
+    locate.addEventListener('click', () => opts.sky.onLocate());
+    const sky = section('Sky', [
+      toggleRow({
+        label: 'Align to real sky',
+        value: s.sky.align,
+        onChange: (v) => store.set('sky', 'align', v),
+      }),
+      rangeRow({
+        label: 'Latitude',
+        min: -90,
+        max: 90,
+        step: 0.1,
+        value: s.sky.latitude,
+        format: (v) => `${Math.abs(v).toFixed(1)}° ${v < 0 ? 'S' : 'N'}`,
+        onInput: (v) => store.set('sky', 'latitude', v),
+      }),
+      rangeRow({
+        label: 'Longitude',
+        min: -180,
+        max: 180,
+        step: 0.1,
+        value: s.sky.longitude,
+        format: (v) => `${Math.abs(v).toFixed(1)}° ${v < 0 ? 'W' : 'E'}`,
+        onInput: (v) => store.set('sky', 'longitude', v),
+      }),
+      locate,
+      el('p', {
+        class: 'settings-note',
+        text: heading != null ? `Compass: facing ${heading}°` : 'No compass reading: north is where you first looked',
+      }),
+    ]);
+
+    const png = el('button', { type: 'button', text: 'Save PNG' });
+    png.addEventListener('click', () => opts.onCapture('png'));
+    const clip = el('button', { type: 'button', text: opts.isRecording() ? 'Stop recording' : 'Record clip' });
+    clip.addEventListener('click', () => opts.onCapture('clip'));
+
+    const capture = section('Capture', [
+      selectRow({
+        label: 'Still size',
+        value: s.capture.size,
+        options: opts.captureSizes.map((k) => /** @type {[string, string]} */ ([k, k === 'screen' ? 'Screen' : k])),
+        onChange: (v) => store.set('capture', 'size', v),
+      }),
+      rangeRow({
+        label: 'Clip length',
+        min: 1,
+        max: 30,
+        step: 1,
+        value: s.capture.clipSeconds,
+        format: (v) => `${v}s`,
+        onInput: (v) => store.set('capture', 'clipSeconds', v),
+      }),
+      el('div', { class: 'settings-buttons' }, [png, clip]),
+    ]);
+
+    const issues = opts.diagnostics.count();
+    const exportBtn = el('button', { type: 'button', text: 'Export log' });
+    exportBtn.addEventListener('click', () => opts.diagnostics.onExport());
+    const diagnostics = section('Diagnostics', [
+      el('p', { class: 'settings-note', text: issues ? `${issues} issue${issues === 1 ? '' : 's'} recorded` : 'No issues' }),
+      exportBtn,
+    ]);
+
+    /** @type {ViewOption[]} */
+    const viewOptions = view?.getOptions?.() ?? [];
+    const viewRows = viewOptions.map((o) =>
+      o.type === 'toggle'
+        ? toggleRow({ label: o.label, value: !!o.value, onChange: (v) => store.setViewOption(id, o.key, v) })
+        : rangeRow({
+            label: o.label,
+            min: o.min ?? 0,
+            max: o.max ?? 1,
+            step: o.step ?? 0.01,
+            value: Number(o.value),
+            onInput: (v) => store.setViewOption(id, o.key, v),
+          }),
+    );
+    if (viewRows.length) {
+      const reset = el('button', { type: 'button', class: 'settings-reset', text: 'Reset view' });
+      reset.addEventListener('click', () => {
+        store.resetView(id);
+        render();
+      });
+      viewRows.push(reset);
+    }
+
+    const close = el('button', { type: 'button', class: 'settings-close', text: 'Done' });
+    close.addEventListener('click', () => setOpen(false));
+
+    const children = [audio, haptics, motion, display, sky, capture, diagnostics];
+    if (viewRows.length) children.push(section(view.name, viewRows));
+    children.push(close);
+    panel.replaceChildren(...children);
+  }
+
+  /**
+   * @param {boolean} v
+   */
+  function setOpen(v) {
+    open = !!v;
+    if (open) render();
+    panel.toggleAttribute('hidden', !open);
+    button.setAttribute('aria-expanded', open ? 'true' : 'false');
+    document.body.classList.toggle('settings-open', open);
+  }
+
+  button.addEventListener('click', () => setOpen(!open), { passive: true });
+
+  // Keep taps inside the panel from reaching app-level pointer handlers.
+  panel.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    pressing = true;
+  });
+  const onPointerRelease = () => {
+    if (!pressing) return;
+    pressing = false;
+    flushRefresh();
+  };
+  window.addEventListener('pointerup', onPointerRelease, { passive: true });
+  window.addEventListener('pointercancel', onPointerRelease, { passive: true });
+  panel.addEventListener('focusout', (e) => {
+    if (!panel.contains(/** @type {Node | null} */ (e.relatedTarget))) queueMicrotask(flushRefresh);
+  });
+
+  return {
+    setOpen,
+    /** Re-render (e.g. after the active view changed); deferred while a control is in use. */
+    refresh() {
+      if (!open) return;
+      if (busy()) refreshPending = true;
+      else render();
+    },
+    get open() {
+      return open;
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * Real-sky alignment
+ *
+ * World frame used by the motion controller when the heading is absolute:
+ *   +X = east, +Y = up, -Z = north (a phone with compass alpha 0 looks down -Z).
+ *
+ * The constellation layer places stars in an equatorial frame (see `radecToXYZ` in
+ * constellations.js: +X = RA 0h, -Z = RA 6h, +Y = north celestial pole). The quaternion
+ * from `equatorialToLocal()` turns that frame into the local horizon frame for a given
+ * sidereal time and latitude.
+ */
+
+/**
+ * Local mean sidereal time (radians) from a Unix time and east longitude.
+ * GMST formula from the Astronomical Almanac; good to well under a degree for this use.
+ * @param {number} unixMs
+ * @param {number} lonDeg - east positive
+ */
+export function localSiderealTime(unixMs, lonDeg) {
+  const jd = unixMs / 86400000 + 2440587.5;
+  const gmstDeg = 280.46061837 + 360.98564736629 * (jd - 2451545.0);
+  const lst = ((gmstDeg + lonDeg) % 360 + 360) % 360;
+  return lst * DEG2RAD;
+}
+
+const basisX = new THREE.Vector3();
+const basisY = new THREE.Vector3();
+const basisZ = new THREE.Vector3();
+const basis = new THREE.Matrix4();
+
+/**
+ * Equatorial (constellations.js) -> local horizon (east/up/-north) rotation.
+ * @param {THREE.Quaternion} out
+ * @param {number} lstRad - local sidereal time
+ * @param {number} latDeg
+ */
+export function equatorialToLocal(out, lstRad, latDeg) {
+  const lat = latDeg * DEG2RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinT = Math.sin(lstRad);
+  const cosT = Math.cos(lstRad);
+  // Where each equatorial axis ends up: RA 0h on the equator, the pole, and the -RA 6h direction.
+  basisX.set(-sinT, cosLat * cosT, sinLat * cosT);
+  basisY.set(0, sinLat, -cosLat);
+  basisZ.set(-cosT, -cosLat * sinT, -sinLat * sinT);
+  basis.makeBasis(basisX, basisY, basisZ);
+  return out.setFromRotationMatrix(basis);
+}
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Per-frame sky rotation for the constellation layers.
+ */
+export function createSkyAlignment() {
+  const orientation = new THREE.Quaternion();
+  const yaw = new THREE.Quaternion();
+
+  /**
+   * @param {{ unixMs: number, latitude: number, longitude: number, northYaw: number }} o
+   *   northYaw: world rotation that puts -Z on real north (motion.getNorthYaw(), 0 = -Z is north)
+   * @returns {THREE.Quaternion} equatorial -> world (reused; copy if kept)
+   */
+  function update(o) {
+    equatorialToLocal(orientation, localSiderealTime(o.unixMs, o.longitude), o.latitude);
+    return orientation.premultiply(yaw.setFromAxisAngle(Y_AXIS, o.northYaw));
+  }
+
+  return { update };
+}
+
+/**
+ * Browser geolocation as a promise (coarse is plenty for the sky).
+ * @returns {Promise<{ latitude: number, longitude: number }>}
+ */
+export function requestGeolocation() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not available in this browser'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ latitude: pos.coords.latitude, longitude: pos.coords.longitude }),
+      (err) => reject(new Error(err.message || 'Location permission denied')),
+      { enableHighAccuracy: false, maximumAge: 10 * 60 * 1000, timeout: 15000 },
+    );
+  });
+}
@@ -1,44 +1,81 @@
+import { createMusicAnalyser, silentFeatures } from './audioReactive.js';
+import { DEFAULT_SOUND_MANIFEST } from './soundManifest.js';
+import { DRONE_RECIPES, SOUND_RECIPES_BY_EVENT, playRecipe, startDrone } from './soundSynth.js';
+
 /**
  * Sound Controller
  *
- * Configure one-shot sound effects by mapping "event names" to audio file URLs in `public/`.
+ * One Web Audio graph for everything the app plays:
+ *
+ *   one-shots ──> sfx ────────────────────────────┐
+ *   music track(s) ──> music ─> duck ──────────────┼─> master ─> fade ─> destination
+ *   ambience track(s), spatial loops ──> ambience ─┘
+ *                        music ─> analyser (audio-reactive visuals; not routed on)
+ *
+ * - Music and ambience are long looping files, streamed through <audio> elements
+ *   (MediaElementAudioSourceNode) instead of being decoded up front. One track per bus
+ *   is current; switching crossfades the outgoing and incoming track gains.
+ * - One-shots come from the sound manifest (soundManifest.json: variants, gain, pitch
+ *   randomization, cooldown, priority), decoded once into AudioBuffers, or are synthesized
+ *   from a recipe (soundSynth.js) when no file is usable. Each trigger briefly ducks the music bus.
+ * - Spatial loops go through an HRTF PannerNode; the listener follows the camera (spatialAudio.js).
+ * - `fade` is the lifecycle fade-in after the page comes back (see `resume()`).
  *
  * Example:
  * - Put a file at:  /public/Music/ui_click.mp3
- * - Map an event:  SOUND_URLS_BY_EVENT['ui:next'] = '/Music/ui_click.mp3'
- * - Trigger it:    sounds.trigger('ui:next')
+ * - List it:        "ui:next": { "variants": ["/Music/ui_click.mp3"] } in soundManifest.json
+ * - Trigger it:     sounds.trigger('ui:next')
+ *
+ * Browsers start the AudioContext suspended until a user gesture: call
+ * `sounds.onUserGesture()` from a pointer/tap handler. `preload()` can run before that.
  */
 
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Events that only have a synth recipe (not in the manifest).
+/** @type {import('./soundManifest.js').SoundEventSpec} */
+const FALLBACK_EVENT_SPEC = { variants: [], gain: 1, pitch: 0, cooldownMs: 0, priority: 1, maxVoices: 4 };
+
 /**
- * Edit this map to wire sounds to events.
- *
- * Keys:   any string event name you choose
- * Values: URL paths served from `public/` (must start with `/`)
- *
- * Notes:
- * - Most mobile browsers require a user gesture before audio can play.
- *   Call `sounds.onUserGesture()` from a pointer/tap handler once.
- * - Missing/unmapped events are silently ignored.
+ * A looping track a view asks for (`view.music` / `view.ambience`).
+ * @typedef {{ url: string, gain?: number }} TrackSpec
+ *   gain: the track's own mix level (0..1, default 1)
  */
-export const SOUND_URLS_BY_EVENT = {
-  // UI
-  'ui:prev': '/Music/ui_prev.mp3',
-  'ui:next': '/Music/ui_next.mp3',
-  'ui:toggleHud': '/Music/ui_toggle.mp3',
 
-  // App
-  'view:change': '/Music/view_change.mp3',
-  'motion:enabled': '/Music/motion_enabled.mp3',
-};
+/**
+ * @typedef {'music' | 'ambience'} TrackBus
+ */
 
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+/**
+ * A looping positioned sound (`createSpatialLoop`).
+ * @typedef {{
+ *  drone?: string | import('./soundSynth.js').DroneRecipe,
+ *  url?: string,
+ *  gain?: number,
+ *  refDistance?: number,
+ *  rolloffFactor?: number,
+ *  fadeMs?: number,
+ * }} SpatialLoopSpec
+ *   drone: a synthesized hum (name in DRONE_RECIPES, or a recipe); otherwise `url` is looped
+ *   refDistance / rolloffFactor: inverse distance model, in scene units (full level within refDistance)
+ *   fadeMs: fade in on create, out on dispose (1000)
+ */
 
 /**
  * @typedef {{
  *  enabled?: boolean,
  *  volume?: number,
- *  maxVoicesPerEvent?: number,
+ *  sfxVolume?: number,
+ *  musicVolume?: number,
+ *  ambienceVolume?: number,
+ *  maxVoices?: number,
+ *  manifest?: import('./soundManifest.js').SoundManifest,
+ *  crossfadeMs?: number,
+ *  duck?: { amount?: number, attackMs?: number, holdMs?: number, releaseMs?: number },
  * }} SoundControllerOptions
+ *   maxVoices: one-shots playing at once, across events (16); see `priority` in the manifest
+ *   crossfadeMs: default music/ambience crossfade (1500)
+ *   duck.amount: music level while a one-shot plays (0..1, default 0.45)
  */
 
 /**
@@ -47,125 +84,771 @@ const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 export function createSoundController(opts = {}) {
   let enabled = opts.enabled ?? true;
   let masterVolume = clamp(opts.volume ?? 0.8, 0, 1);
-  const maxVoicesPerEvent = Math.max(1, opts.maxVoicesPerEvent ?? 4);
+  let sfxVolume = clamp(opts.sfxVolume ?? 1, 0, 1);
+  let musicVolume = clamp(opts.musicVolume ?? 1, 0, 1);
+  let ambienceVolume = clamp(opts.ambienceVolume ?? 1, 0, 1);
+  const maxVoices = Math.max(1, opts.maxVoices ?? 16);
+  const defaultCrossfadeMs = Math.max(0, opts.crossfadeMs ?? 1500);
+  const duck = {
+    amount: clamp(opts.duck?.amount ?? 0.45, 0, 1),
+    attackMs: Math.max(1, opts.duck?.attackMs ?? 40),
+    holdMs: Math.max(0, opts.duck?.holdMs ?? 250),
+    releaseMs: Math.max(1, opts.duck?.releaseMs ?? 600),
+  };
 
-  /** @type {Map<string, HTMLAudioElement[]>} */
-  const pools = new Map();
+  /**
+   * @typedef {{
+   *  ctx: AudioContext,
+   *  fade: GainNode,
+   *  master: GainNode,
+   *  sfx: GainNode,
+   *  musicIn: GainNode,
+   *  music: GainNode,
+   *  duck: GainNode,
+   *  ambience: GainNode,
+   *  analyser: AnalyserNode,
+   * }} Graph
+   */
+  /** @type {Graph | null} */
+  let graph = null;
 
-  let unlocked = false;
+  /**
+   * Build the graph on first use. Returns null where Web Audio is missing.
+   */
+  function ensureGraph() {
+    if (graph) return graph;
+    const Ctx = window.AudioContext ?? /** @type {any} */ (window).webkitAudioContext;
+    if (!Ctx) return null;
+    let ctx;
+    try {
+      ctx = new Ctx();
+    } catch {
+      return null;
+    }
+    const gain = (/** @type {number} */ v) => {
+      const g = ctx.createGain();
+      g.gain.value = v;
+      return g;
+    };
+    graph = {
+      ctx,
+      fade: gain(1),
+      master: gain(enabled ? masterVolume : 0),
+      sfx: gain(sfxVolume),
+      musicIn: gain(1),
+      music: gain(musicVolume),
+      duck: gain(1),
+      ambience: gain(ambienceVolume),
+      analyser: ctx.createAnalyser(),
+    };
+    graph.fade.connect(ctx.destination);
+    graph.master.connect(graph.fade);
+    graph.sfx.connect(graph.master);
+    graph.musicIn.connect(graph.music);
+    graph.music.connect(graph.duck);
+    graph.duck.connect(graph.master);
+    graph.ambience.connect(graph.master);
+    // Tapped before the volume and duck stages: the music slider, mute and one-shots dipping
+    // the music must not change how strongly the views react.
+    graph.analyser.fftSize = 1024;
+    graph.analyser.smoothingTimeConstant = 0.6;
+    graph.musicIn.connect(graph.analyser);
+    // Started suspended (no gesture yet) or resumed after a background: start the current tracks.
+    ctx.addEventListener('statechange', () => {
+      if (ctx.state !== 'running') return;
+      for (const t of [current.music, current.ambience]) if (t?.el.paused) playTrack(t);
+    });
+    return graph;
+  }
 
-  function getUrl(eventName) {
-    const url = SOUND_URLS_BY_EVENT[eventName];
-    if (!url || typeof url !== 'string') return null;
-    return url.startsWith('/') ? url : `/${url}`;
+  /**
+   * Glide a gain to `value` (short time constant: no zipper noise on slider drags).
+   * @param {GainNode | undefined} node
+   * @param {number} value
+   */
+  function setGain(node, value) {
+    if (!node || !graph) return;
+    const now = graph.ctx.currentTime;
+    node.gain.cancelScheduledValues(now);
+    node.gain.setTargetAtTime(value, now, 0.03);
   }
 
+  // ----------------------------
+  // Looping tracks (music / ambience)
+  // ----------------------------
+
   /**
-   * @param {string} eventName
+   * @typedef {{
+   *  url: string,
+   *  el: HTMLAudioElement,
+   *  gain: GainNode,
+   *  stopTimer: ReturnType<typeof setTimeout> | null,
+   * }} Track
    */
-  function getVoice(eventName) {
-    const url = getUrl(eventName);
-    if (!url) return null;
 
-    let pool = pools.get(eventName);
-    if (!pool) {
-      pool = [];
-      pools.set(eventName, pool);
+  // Elements are kept per URL: an <audio> can only ever feed one MediaElementAudioSourceNode,
+  // and coming back to a view picks its track up where it left off.
+  /** @type {Record<TrackBus, Map<string, Track>>} */
+  const tracks = { music: new Map(), ambience: new Map() };
+  /** @type {Record<TrackBus, Track | null>} */
+  const current = { music: null, ambience: null };
+
+  /**
+   * @param {TrackBus} bus
+   * @param {string} url
+   */
+  function getTrack(bus, url) {
+    const g = ensureGraph();
+    if (!g) return null;
+    let t = tracks[bus].get(url);
+    if (t) return t;
+    const el = new Audio(url);
+    el.loop = true;
+    el.preload = 'auto';
+    el.crossOrigin = 'anonymous';
+    const gain = g.ctx.createGain();
+    gain.gain.value = 0;
+    try {
+      g.ctx.createMediaElementSource(el).connect(gain);
+    } catch {
+      return null;
     }
+    // Music enters ahead of its volume stage (see the analyser tap in ensureGraph).
+    gain.connect(bus === 'music' ? g.musicIn : g[bus]);
+    t = { url, el, gain, stopTimer: null };
+    tracks[bus].set(url, t);
+    return t;
+  }
+
+  /**
+   * @param {Track} t
+   */
+  function playTrack(t) {
+    if (!graph || graph.ctx.state !== 'running') return;
+    t.el.play().catch(() => {
+      // Autoplay blocked until a gesture; onUserGesture() retries.
+    });
+  }
+
+  /**
+   * @param {Track} t
+   * @param {number} level
+   * @param {number} ms
+   */
+  function rampTrack(t, level, ms) {
+    if (!graph) return;
+    const now = graph.ctx.currentTime;
+    const p = t.gain.gain;
+    p.cancelScheduledValues(now);
+    p.setValueAtTime(p.value, now);
+    p.linearRampToValueAtTime(level, now + ms / 1000);
+  }
+
+  /**
+   * Make `spec` the current track on `bus`, crossfading from whatever played before.
+   * @param {TrackBus} bus
+   * @param {TrackSpec | null | undefined} spec - null/undefined fades the bus out
+   * @param {{ crossfadeMs?: number }} [o]
+   */
+  function setTrack(bus, spec, o = {}) {
+    const ms = Math.max(0, o.crossfadeMs ?? defaultCrossfadeMs);
+    // The context may start suspended; the track begins once it runs (see ensureGraph).
+    if (!ensureGraph()) return;
 
-    // Prefer an idle voice.
-    const idle = pool.find((a) => a.paused || a.ended);
-    if (idle) return idle;
+    const next = spec?.url ? getTrack(bus, spec.url) : null;
+    const prev = current[bus];
+    current[bus] = next;
 
-    // Otherwise, create a new voice (up to max polyphony).
-    if (pool.length < maxVoicesPerEvent) {
-      const a = new Audio(url);
-      a.preload = 'auto';
-      pool.push(a);
-      return a;
+    if (prev && prev !== next) {
+      rampTrack(prev, 0, ms);
+      if (prev.stopTimer) clearTimeout(prev.stopTimer);
+      prev.stopTimer = setTimeout(() => {
+        prev.stopTimer = null;
+        if (current[bus] !== prev) prev.el.pause();
+      }, ms + 50);
     }
+    if (next) {
+      if (next.stopTimer) clearTimeout(next.stopTimer);
+      next.stopTimer = null;
+      rampTrack(next, clamp(spec?.gain ?? 1, 0, 1), prev === next ? Math.min(ms, 300) : ms);
+      if (next.el.paused) playTrack(next);
+    }
+  }
 
-    // Reuse the oldest voice.
-    return pool[0];
+  /**
+   * Crossfade the music bus to a view's track.
+   * @param {TrackSpec | null | undefined} spec
+   * @param {{ crossfadeMs?: number }} [o]
+   */
+  function setMusic(spec, o) {
+    setTrack('music', spec, o);
   }
 
-  async function onUserGesture() {
-    // Best-effort "unlock". This must be called from a real user gesture.
-    unlocked = true;
-
-    // Prime one audio instance per configured event so future plays are more reliable.
-    for (const [eventName] of Object.entries(SOUND_URLS_BY_EVENT)) {
-      const a = getVoice(eventName);
-      if (!a) continue;
-      const prevVol = a.volume;
-      try {
-        a.volume = 0;
-        // Play + immediately pause to satisfy gesture gating.
-        // Some browsers may throw even during a gesture; ignore.
-        // eslint-disable-next-line no-await-in-loop
-        await a.play();
-        a.pause();
-        a.currentTime = 0;
-      } catch {
-        // ignore
-      } finally {
-        a.volume = prevVol;
-      }
+  /**
+   * Crossfade the ambience bus (beds under the music, not ducked by one-shots).
+   * @param {TrackSpec | null | undefined} spec
+   * @param {{ crossfadeMs?: number }} [o]
+   */
+  function setAmbience(spec, o) {
+    setTrack('ambience', spec, o);
+  }
+
+  // ----------------------------
+  // One-shots
+  // ----------------------------
+
+  /** @type {import('./soundManifest.js').SoundManifest} */
+  let manifest = opts.manifest ?? DEFAULT_SOUND_MANIFEST;
+
+  /**
+   * @typedef {'loading' | 'loaded' | 'failed' | 'missing'} SoundLoadState
+   *   missing: the file isn't there (404, or the dev server's HTML fallback)
+   *   failed: fetched but unusable (network error, undecodable)
+   */
+  // Decoded files by URL, shared by every event that lists them.
+  /** @type {Map<string, { state: SoundLoadState, promise: Promise<AudioBuffer | null> }>} */
+  const buffers = new Map();
+
+  /**
+   * @typedef {{ eventName: string, priority: number, duration: number, stop: () => void }} Voice
+   */
+  // Playing one-shots, oldest first.
+  /** @type {Voice[]} */
+  const voices = [];
+  /** @type {Map<string, number>} */
+  const lastTriggerMs = new Map();
+  /** @type {Map<string, string>} */
+  const lastVariant = new Map();
+
+  /**
+   * Fetch and decode a file once. Failures are remembered, so nothing is fetched twice.
+   * @param {string} url
+   */
+  function loadBuffer(url) {
+    const known = buffers.get(url);
+    if (known) return known.promise;
+    const g = ensureGraph();
+    if (!g) return Promise.resolve(null);
+    /** @type {{ state: SoundLoadState, promise: Promise<AudioBuffer | null> }} */
+    const entry = { state: 'loading', promise: Promise.resolve(null) };
+    entry.promise = fetch(url)
+      .then((res) => {
+        // Dev servers answer unknown paths with the SPA's index.html.
+        if (res.status === 404 || res.headers.get('content-type')?.startsWith('text/html')) {
+          entry.state = 'missing';
+          return null;
+        }
+        if (!res.ok) throw new Error(`${res.status} ${url}`);
+        return res.arrayBuffer().then((data) => g.ctx.decodeAudioData(data));
+      })
+      .then(
+        (buffer) => {
+          if (buffer) entry.state = 'loaded';
+          return buffer;
+        },
+        () => {
+          entry.state = 'failed';
+          return null;
+        },
+      );
+    buffers.set(url, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Fetch and decode every variant in the manifest, in parallel.
+   * @returns {Promise<SoundStatus>}
+   */
+  async function preload() {
+    const urls = new Set(Object.values(manifest.events).flatMap((e) => e.variants));
+    await Promise.all([...urls].map(loadBuffer));
+    return getStatus();
+  }
+
+  /**
+   * @param {import('./soundManifest.js').SoundManifest} m - from `parseSoundManifest()`
+   */
+  function setManifest(m) {
+    manifest = m;
+    lastTriggerMs.clear();
+    lastVariant.clear();
+  }
+
+  /**
+   * @typedef {{
+   *  events: Record<string, { state: SoundLoadState | 'synth', variants: { url: string, state: SoundLoadState | 'idle' }[] }>,
+   *  loaded: number,
+   *  synth: number,
+   *  failed: number,
+   *  missing: number,
+   *  loading: number,
+   * }} SoundStatus
+   *   Per event: 'loaded' if any variant decoded, 'loading' while any is pending, 'synth' when
+   *   no file is usable but a recipe covers it, else 'failed' / 'missing'. Counts are events.
+   */
+
+  /** @returns {SoundStatus} */
+  function getStatus() {
+    /** @type {SoundStatus} */
+    const status = { events: {}, loaded: 0, synth: 0, failed: 0, missing: 0, loading: 0 };
+    const names = new Set([...Object.keys(manifest.events), ...Object.keys(SOUND_RECIPES_BY_EVENT)]);
+    for (const name of names) {
+      const variants = (manifest.events[name]?.variants ?? []).map((url) => ({
+        url,
+        state: buffers.get(url)?.state ?? /** @type {const} */ ('idle'),
+      }));
+      const has = (/** @type {string} */ st) => variants.some((v) => v.state === st);
+      const state = has('loaded')
+        ? 'loaded'
+        : has('loading')
+          ? 'loading'
+          : SOUND_RECIPES_BY_EVENT[name]
+            ? 'synth'
+            : has('failed')
+              ? 'failed'
+              : 'missing';
+      status.events[name] = { state, variants };
+      status[state]++;
+    }
+    return status;
+  }
+
+  /**
+   * Pull the music down while a one-shot plays, then let it back up.
+   * @param {number} durationS - length of the one-shot
+   */
+  function duckMusic(durationS) {
+    if (!graph || duck.amount >= 1) return;
+    const now = graph.ctx.currentTime;
+    const p = graph.duck.gain;
+    const hold = Math.min(durationS, 1.5) + duck.holdMs / 1000;
+    p.cancelScheduledValues(now);
+    p.setTargetAtTime(duck.amount, now, duck.attackMs / 3000);
+    p.setTargetAtTime(1, now + hold, duck.releaseMs / 3000);
+  }
+
+  /**
+   * @param {Voice} voice
+   */
+  function release(voice) {
+    const i = voices.indexOf(voice);
+    if (i >= 0) voices.splice(i, 1);
+  }
+
+  /**
+   * Make room for a voice: the event's own polyphony first, then the global limit by priority.
+   * @param {string} eventName
+   * @param {import('./soundManifest.js').SoundEventSpec} spec
+   * @returns {boolean} false: every playing voice outranks this one
+   */
+  function allocate(eventName, spec) {
+    const own = voices.filter((v) => v.eventName === eventName);
+    for (let i = 0; i <= own.length - spec.maxVoices; i++) {
+      own[i].stop();
+      release(own[i]);
     }
+    if (voices.length < maxVoices) return true;
+    let victim = null;
+    for (const v of voices) if (!victim || v.priority < victim.priority) victim = v;
+    if (!victim || victim.priority > spec.priority) return false;
+    victim.stop();
+    release(victim);
+    return true;
   }
 
   /**
-   * Trigger a sound for an event name.
    * @param {string} eventName
-   * @param {{ volume?: number, playbackRate?: number }} [opts2]
+   * @param {import('./soundManifest.js').SoundEventSpec} spec
+   * @param {(onEnded: () => void) => { duration: number, stop: () => void }} start
+   * @param {boolean} ducks
+   */
+  function startVoice(eventName, spec, start, ducks) {
+    if (!allocate(eventName, spec)) return;
+    /** @type {Voice} */
+    const voice = { eventName, priority: spec.priority, duration: 0, stop: () => {} };
+    const playing = start(() => release(voice));
+    voice.duration = playing.duration;
+    voice.stop = playing.stop;
+    voices.push(voice);
+    if (ducks) duckMusic(voice.duration);
+  }
+
+  /**
+   * @param {AudioBuffer} buffer
+   * @param {{ volume: number, playbackRate: number }} o
+   * @param {() => void} onEnded
+   */
+  function playBuffer(buffer, o, onEnded) {
+    const ctx = /** @type {Graph} */ (graph).ctx;
+    const src = ctx.createBufferSource();
+    src.buffer = buffer;
+    src.playbackRate.value = o.playbackRate;
+    const gain = ctx.createGain();
+    gain.gain.value = o.volume;
+    src.connect(gain);
+    gain.connect(/** @type {Graph} */ (graph).sfx);
+    src.onended = () => {
+      gain.disconnect();
+      onEnded();
+    };
+    src.start();
+    return {
+      duration: buffer.duration / o.playbackRate,
+      stop() {
+        try {
+          src.stop();
+        } catch {
+          // ignore
+        }
+      },
+    };
+  }
+
+  /**
+   * A random variant that isn't known to be unusable, avoiding an immediate repeat.
+   * @param {string} eventName
+   * @param {string[]} variants
+   */
+  function pickVariant(eventName, variants) {
+    const usable = variants.filter((u) => {
+      const st = buffers.get(u)?.state;
+      return st !== 'failed' && st !== 'missing';
+    });
+    if (!usable.length) return null;
+    const pool = usable.length > 1 ? usable.filter((u) => u !== lastVariant.get(eventName)) : usable;
+    const url = pool[Math.floor(Math.random() * pool.length)];
+    lastVariant.set(eventName, url);
+    return url;
+  }
+
+  /**
+   * @param {string} eventName
+   * @returns {boolean} whether the manifest or a synth recipe has a sound for it
+   */
+  function hasEvent(eventName) {
+    return eventName in manifest.events || eventName in SOUND_RECIPES_BY_EVENT;
+  }
+
+  /**
+   * Trigger a sound for an event name: one of its manifest variants, or its synth recipe
+   * when no file is usable (or the recipe is marked `primary`).
+   * @param {string} eventName
+   * @param {{ volume?: number, playbackRate?: number, duck?: boolean }} [opts2]
+   *   duck: false to leave the music alone for this one-shot (default: the recipe's, else true)
    */
   function trigger(eventName, opts2 = {}) {
     if (!enabled) return;
-    const a = getVoice(eventName);
-    if (!a) return;
+    const recipe = SOUND_RECIPES_BY_EVENT[eventName] ?? null;
+    const spec = manifest.events[eventName] ?? (recipe ? FALLBACK_EVENT_SPEC : null);
+    if (!spec) return;
+    const g = ensureGraph();
+    if (!g) return;
+
+    const now = performance.now();
+    if (now - (lastTriggerMs.get(eventName) ?? -Infinity) < spec.cooldownMs) return;
+    lastTriggerMs.set(eventName, now);
 
-    // If we never got a user gesture yet, the browser may block playback.
-    // We still attempt; failure is silently ignored.
-    if (!unlocked) {
-      // no-op; keep behavior best-effort
+    const ducks = opts2.duck ?? recipe?.duck ?? true;
+    const detune = (Math.random() * 2 - 1) * spec.pitch;
+    const o = {
+      volume: clamp((opts2.volume ?? 1) * spec.gain, 0, 1),
+      playbackRate: clamp((opts2.playbackRate ?? 1) * 2 ** (detune / 12), 0.25, 4),
+    };
+
+    // Before the first gesture the context is suspended: drop rather than queue up.
+    const playable = () => !!graph && graph.ctx.state === 'running' && enabled;
+    const synth = (/** @type {import('./soundSynth.js').SoundRecipe} */ r) =>
+      startVoice(eventName, spec, (onEnded) => playRecipe(g.ctx, g.sfx, r, { ...o, onEnded }), ducks);
+
+    const url = recipe?.primary ? null : pickVariant(eventName, spec.variants);
+    if (!url) {
+      if (recipe && playable()) synth(recipe);
+      return;
     }
+    void loadBuffer(url).then((buffer) => {
+      if (!playable()) return;
+      if (buffer) startVoice(eventName, spec, (onEnded) => playBuffer(buffer, o, onEnded), ducks);
+      else if (recipe) synth(recipe);
+    });
+  }
 
-    const vol = clamp((opts2.volume ?? 1) * masterVolume, 0, 1);
+  // ----------------------------
+  // Spatial loops (PannerNode; spatialAudio.js places them from three.js objects)
+  // ----------------------------
 
-    try {
-      a.pause();
-      a.currentTime = 0;
-    } catch {
-      // ignore
+  /**
+   * @param {AudioParam | undefined} param
+   * @param {number} v
+   */
+  function setParam(param, v) {
+    if (param) param.value = v;
+  }
+
+  /**
+   * A looping sound at a point in the listener's world, panned with HRTF. Plays on the
+   * ambience bus. Returns null where Web Audio is missing.
+   * @param {SpatialLoopSpec} spec
+   */
+  function createSpatialLoop(spec) {
+    const g = ensureGraph();
+    if (!g) return null;
+    const ctx = g.ctx;
+    const fadeS = Math.max(0.01, (spec.fadeMs ?? 1000) / 1000);
+
+    // source -> level (per-frame, e.g. facing) -> panner -> gain (the spec's mix level) -> ambience
+    const level = ctx.createGain();
+    const panner = ctx.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = Math.max(0.01, spec.refDistance ?? 1);
+    panner.rolloffFactor = Math.max(0, spec.rolloffFactor ?? 1);
+    const gain = ctx.createGain();
+    gain.gain.value = clamp(spec.gain ?? 1, 0, 1);
+    level.connect(panner);
+    panner.connect(gain);
+    gain.connect(g.ambience);
+
+    /** @type {(fadeS: number) => void} */
+    let stopSource = () => {};
+    let disposed = false;
+    const drone = typeof spec.drone === 'string' ? DRONE_RECIPES[spec.drone] : spec.drone;
+    if (drone) {
+      const d = startDrone(ctx, level, drone, { fadeS });
+      stopSource = (s) => d.stop(s);
+    } else if (spec.url) {
+      const fade = ctx.createGain();
+      fade.gain.value = 0;
+      fade.connect(level);
+      void loadBuffer(spec.url).then((buffer) => {
+        if (!buffer || disposed) return;
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        src.loop = true;
+        src.connect(fade);
+        const now = ctx.currentTime;
+        fade.gain.setValueAtTime(0, now);
+        fade.gain.linearRampToValueAtTime(1, now + fadeS);
+        src.start();
+        stopSource = (s) => {
+          const t = ctx.currentTime;
+          fade.gain.cancelScheduledValues(t);
+          fade.gain.setValueAtTime(fade.gain.value, t);
+          fade.gain.linearRampToValueAtTime(0, t + s);
+          src.stop(t + s + 0.02);
+        };
+      });
     }
 
-    try {
-      a.volume = vol;
-      a.playbackRate = clamp(opts2.playbackRate ?? 1, 0.25, 4);
-      void a.play();
-    } catch {
-      // ignore
+    return {
+      /**
+       * World position (same frame as `setListener`).
+       * @param {number} x
+       * @param {number} y
+       * @param {number} z
+       */
+      setPosition(x, y, z) {
+        if (panner.positionX) {
+          setParam(panner.positionX, x);
+          setParam(panner.positionY, y);
+          setParam(panner.positionZ, z);
+        } else {
+          panner.setPosition(x, y, z);
+        }
+      },
+      /**
+       * Extra level on top of distance attenuation (0..1), smoothed.
+       * @param {number} v
+       */
+      setLevel(v) {
+        level.gain.setTargetAtTime(clamp(v, 0, 1), ctx.currentTime, 0.08);
+      },
+      /** Fade out and release the nodes. */
+      dispose() {
+        if (disposed) return;
+        disposed = true;
+        stopSource(fadeS);
+        setTimeout(() => gain.disconnect(), fadeS * 1000 + 100);
+      },
+    };
+  }
+
+  /**
+   * Place the listener (world position, forward and up unit vectors).
+   * No-op until the context exists.
+   * @param {{ x: number, y: number, z: number }} position
+   * @param {{ x: number, y: number, z: number }} forward
+   * @param {{ x: number, y: number, z: number }} up
+   */
+  function setListener(position, forward, up) {
+    if (!graph) return;
+    const l = graph.ctx.listener;
+    if (l.positionX) {
+      setParam(l.positionX, position.x);
+      setParam(l.positionY, position.y);
+      setParam(l.positionZ, position.z);
+      setParam(l.forwardX, forward.x);
+      setParam(l.forwardY, forward.y);
+      setParam(l.forwardZ, forward.z);
+      setParam(l.upX, up.x);
+      setParam(l.upY, up.y);
+      setParam(l.upZ, up.z);
+    } else {
+      // Older Safari / Firefox: the deprecated setters.
+      l.setPosition(position.x, position.y, position.z);
+      l.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
     }
   }
 
+  // ----------------------------
+  // Music analysis
+  // ----------------------------
+
+  /** @type {ReturnType<typeof createMusicAnalyser> | null} */
+  let musicAnalyser = null;
+  const silence = silentFeatures();
+
+  /**
+   * FFT bands and beat of the music bus (before the music volume and ducking).
+   * Muting doesn't change it; silent while suspended or before the context exists. Call once per frame.
+   * @param {number} dt - seconds
+   * @returns {import('./audioReactive.js').AudioFeatures}
+   */
+  function analyseMusic(dt) {
+    if (!graph || graph.ctx.state !== 'running') return silence;
+    musicAnalyser ??= createMusicAnalyser(graph.analyser);
+    return musicAnalyser.read(dt);
+  }
+
+  // ----------------------------
+  // Unlock / volumes / lifecycle
+  // ----------------------------
+
+  async function onUserGesture() {
+    // Must run inside a real user gesture: creating/resuming the context is gated on it.
+    const g = ensureGraph();
+    if (!g) return;
+    if (g.ctx.state !== 'running') {
+      try {
+        await g.ctx.resume();
+      } catch {
+        // ignore
+      }
+    }
+    // Tracks blocked by autoplay start now (a running context doesn't fire statechange again).
+    for (const t of [current.music, current.ambience]) if (t?.el.paused) playTrack(t);
+  }
+
   function setEnabled(v) {
     enabled = !!v;
+    setGain(graph?.master, enabled ? masterVolume : 0);
   }
 
   function setVolume(v) {
     masterVolume = clamp(v, 0, 1);
+    setGain(graph?.master, enabled ? masterVolume : 0);
+  }
+
+  function setSfxVolume(v) {
+    sfxVolume = clamp(v, 0, 1);
+    setGain(graph?.sfx, sfxVolume);
+  }
+
+  function setMusicVolume(v) {
+    musicVolume = clamp(v, 0, 1);
+    setGain(graph?.music, musicVolume);
+  }
+
+  function setAmbienceVolume(v) {
+    ambienceVolume = clamp(v, 0, 1);
+    setGain(graph?.ambience, ambienceVolume);
+  }
+
+  // Lifecycle: tracks that were playing when the page was hidden.
+  /** @type {Set<Track>} */
+  const suspended = new Set();
+
+  /**
+   * Page hidden/frozen: pause the playing tracks and suspend the context (cuts one-shots too).
+   * Some browsers keep <audio> playing in background tabs; others drop the position on bfcache.
+   */
+  function suspend() {
+    if (!graph) return;
+    for (const bus of /** @type {TrackBus[]} */ (['music', 'ambience'])) {
+      const t = current[bus];
+      if (!t || t.el.paused) continue;
+      suspended.add(t);
+      try {
+        t.el.pause();
+      } catch {
+        // ignore
+      }
+    }
+    for (const voice of voices.splice(0)) voice.stop();
+    void graph.ctx.suspend().catch(() => {});
+  }
+
+  /**
+   * Restart what `suspend()` paused, fading the whole mix in.
+   * @param {{ fadeMs?: number }} [opts2]
+   */
+  async function resume(opts2 = {}) {
+    if (!graph) return;
+    const fadeMs = Math.max(0, opts2.fadeMs ?? 600);
+    const { ctx, fade } = graph;
+    try {
+      await ctx.resume();
+    } catch {
+      // Autoplay policy may require a new gesture after a long background; ignore.
+    }
+    const now = ctx.currentTime;
+    fade.gain.cancelScheduledValues(now);
+    fade.gain.setValueAtTime(fadeMs > 0 ? 0 : 1, now);
+    if (fadeMs > 0) fade.gain.linearRampToValueAtTime(1, now + fadeMs / 1000);
+
+    for (const t of suspended) {
+      // Only the still-current tracks: the view may have changed while hidden.
+      if (t === current.music || t === current.ambience) playTrack(t);
+    }
+    suspended.clear();
   }
 
   return {
     trigger,
+    hasEvent,
+    preload,
+    setManifest,
+    getStatus,
     onUserGesture,
+    setMusic,
+    setAmbience,
+    createSpatialLoop,
+    setListener,
+    analyseMusic,
     setEnabled,
     setVolume,
+    setSfxVolume,
+    setMusicVolume,
+    setAmbienceVolume,
+    suspend,
+    resume,
     get enabled() {
       return enabled;
     },
     get volume() {
       return masterVolume;
     },
+    get sfxVolume() {
+      return sfxVolume;
+    },
+    get musicVolume() {
+      return musicVolume;
+    },
+    get ambienceVolume() {
+      return ambienceVolume;
+    },
+    /** The AudioContext, once created (null before the first use). */
+    get context() {
+      return graph?.ctx ?? null;
+    },
   };
 }
@@ -0,0 +1,82 @@
+import BUILTIN_MANIFEST from './soundManifest.json';
+
+/**
+ * Sound manifest
+ *
+ * Which files play for each one-shot event, and how. Edit `soundManifest.json`; a different
+ * manifest can be swapped in at runtime with `sounds.setManifest(parseSoundManifest(json))`.
+ *
+ * {
+ *   "version": 1,
+ *   "defaults": { ...SoundEventSpec fields applied to every event },
+ *   "events": { "<event name>": SoundEventSpec }
+ * }
+ *
+ * @typedef {{
+ *  variants: string[],
+ *  gain: number,
+ *  pitch: number,
+ *  cooldownMs: number,
+ *  priority: number,
+ *  maxVoices: number,
+ * }} SoundEventSpec
+ *   variants: URL paths served from `public/`; one is picked at random per trigger
+ *     (empty: the event only has a synth recipe, see soundSynth.js)
+ *   gain: event level (0..1)
+ *   pitch: random detune range, +/- semitones
+ *   cooldownMs: triggers closer together than this are dropped
+ *   priority: when all voices are busy, a trigger steals the oldest voice of the lowest
+ *     priority not above its own, or is dropped
+ *   maxVoices: polyphony for this event (oldest voice is cut)
+ *
+ * @typedef {{ version: number, events: Record<string, SoundEventSpec> }} SoundManifest
+ */
+
+export const SOUND_MANIFEST_VERSION = 1;
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+const num = (v, d, lo, hi) => (v != null && Number.isFinite(Number(v)) ? clamp(Number(v), lo, hi) : d);
+
+/**
+ * Validate parsed JSON and fill every event from `defaults`.
+ * @param {any} data
+ * @returns {SoundManifest}
+ */
+export function parseSoundManifest(data) {
+  if (!data || typeof data !== 'object' || !data.events || typeof data.events !== 'object') {
+    throw new Error('Not a sound manifest');
+  }
+  if (data.version > SOUND_MANIFEST_VERSION) {
+    throw new Error(`Sound manifest version ${data.version} is newer than this app supports`);
+  }
+  const d = data.defaults ?? {};
+  const defaults = {
+    gain: num(d.gain, 1, 0, 1),
+    pitch: num(d.pitch, 0, 0, 12),
+    cooldownMs: num(d.cooldownMs, 0, 0, 60000),
+    priority: num(d.priority, 1, 0, 10),
+    maxVoices: Math.round(num(d.maxVoices, 4, 1, 32)),
+  };
+
+  /** @type {Record<string, SoundEventSpec>} */
+  const events = {};
+  for (const [name, e] of Object.entries(data.events)) {
+    if (!e || typeof e !== 'object') continue;
+    const variants = (Array.isArray(e.variants) ? e.variants : [])
+      .filter((u) => typeof u === 'string' && u)
+      .map((u) => (u.startsWith('/') || /^[a-z]+:/i.test(u) ? u : `/${u}`));
+    events[name] = {
+      variants,
+      gain: num(e.gain, defaults.gain, 0, 1),
+      pitch: num(e.pitch, defaults.pitch, 0, 12),
+      cooldownMs: num(e.cooldownMs, defaults.cooldownMs, 0, 60000),
+      priority: num(e.priority, defaults.priority, 0, 10),
+      maxVoices: Math.round(num(e.maxVoices, defaults.maxVoices, 1, 32)),
+    };
+  }
+  return { version: Number(data.version) || SOUND_MANIFEST_VERSION, events };
+}
+
+/** The bundled manifest (`soundManifest.json`). */
+export const DEFAULT_SOUND_MANIFEST = parseSoundManifest(BUILTIN_MANIFEST);
@@ -0,0 +1,360 @@
+/**
+ * Procedural sound effects
+ *
+ * Each event can be described as a small recipe instead of (or as well as) a file: one or
+ * more voices, each an oscillator or noise source shaped by an attack / hold / release
+ * envelope, an optional pitch sweep and an optional filter sweep. The sound controller plays
+ * the recipe when the event's file is missing, or always when the recipe is `primary`.
+ * Drones (`startDrone`) are the looping counterpart, used for the spatial hums.
+ *
+ * @typedef {{
+ *  type?: OscillatorType | 'noise',
+ *  freq?: number,
+ *  freqEnd?: number,
+ *  gain?: number,
+ *  delay?: number,
+ *  attack?: number,
+ *  hold?: number,
+ *  release?: number,
+ *  filter?: { type: BiquadFilterType, freq: number, freqEnd?: number, q?: number },
+ * }} SynthVoice
+ *   type: oscillator waveform or white noise (default 'sine')
+ *   freq / freqEnd: pitch in Hz, swept exponentially over attack + hold + release (oscillators)
+ *   gain: peak level (0..1, default 0.5)
+ *   delay / attack / hold / release: seconds, from the trigger time
+ *   filter: biquad on the voice; freq / freqEnd sweep like the pitch
+ *
+ * @typedef {{ voices: SynthVoice[], primary?: boolean, duck?: boolean }} SoundRecipe
+ *   primary: play the recipe even when a file is mapped for the event
+ *   duck: dip the music under it (default true; off for rapid repeats like ticks)
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Edit this map to give events a synthesized sound. Keys match the event names in soundManifest.json.
+ * @type {Record<string, SoundRecipe>}
+ */
+export const SOUND_RECIPES_BY_EVENT = {
+  // UI: short pitched blips, falling for back, rising for forward.
+  'ui:prev': {
+    voices: [
+      { type: 'triangle', freq: 880, freqEnd: 620, gain: 0.35, attack: 0.004, hold: 0.02, release: 0.09 },
+    ],
+  },
+  'ui:next': {
+    voices: [
+      { type: 'triangle', freq: 620, freqEnd: 880, gain: 0.35, attack: 0.004, hold: 0.02, release: 0.09 },
+    ],
+  },
+  'ui:toggleHud': {
+    voices: [
+      { type: 'sine', freq: 1320, gain: 0.25, attack: 0.002, hold: 0.01, release: 0.05 },
+      {
+        type: 'noise',
+        gain: 0.12,
+        attack: 0.001,
+        release: 0.03,
+        filter: { type: 'highpass', freq: 4000 },
+      },
+    ],
+  },
+
+  // App
+  'view:change': {
+    voices: [
+      // Band-passed noise whoosh over a falling sub tone.
+      {
+        type: 'noise',
+        gain: 0.3,
+        attack: 0.12,
+        hold: 0.08,
+        release: 0.4,
+        filter: { type: 'bandpass', freq: 300, freqEnd: 2600, q: 1.2 },
+      },
+      { type: 'sine', freq: 140, freqEnd: 55, gain: 0.3, attack: 0.03, hold: 0.1, release: 0.35 },
+    ],
+  },
+  'motion:enabled': {
+    voices: [
+      { type: 'sine', freq: 523.25, gain: 0.3, attack: 0.005, hold: 0.05, release: 0.5 },
+      { type: 'sine', freq: 783.99, gain: 0.25, delay: 0.09, attack: 0.005, hold: 0.05, release: 0.6 },
+    ],
+  },
+
+  // The sun coming into view: a soft, bright shimmer. Synth only.
+  'sun:inView': {
+    primary: true,
+    voices: [
+      { type: 'sine', freq: 1046.5, gain: 0.16, attack: 0.08, hold: 0.1, release: 0.9 },
+      { type: 'sine', freq: 1568, gain: 0.1, delay: 0.06, attack: 0.1, hold: 0.08, release: 1.0 },
+      {
+        type: 'noise',
+        gain: 0.06,
+        attack: 0.2,
+        release: 0.6,
+        filter: { type: 'bandpass', freq: 5000, freqEnd: 9000, q: 2 },
+      },
+    ],
+  },
+
+  // Pulsar view: one tick per pulse. Synth only (no file), and never ducks the music.
+  'pulsar:tick': {
+    primary: true,
+    duck: false,
+    voices: [
+      {
+        type: 'noise',
+        gain: 0.22,
+        attack: 0.001,
+        release: 0.025,
+        filter: { type: 'highpass', freq: 2500 },
+      },
+      { type: 'sine', freq: 1900, freqEnd: 800, gain: 0.18, attack: 0.001, release: 0.035 },
+    ],
+  },
+};
+
+// One second of white noise per context, shared by every noise voice (looped).
+/** @type {WeakMap<BaseAudioContext, AudioBuffer>} */
+const noiseBuffers = new WeakMap();
+
+/**
+ * @param {BaseAudioContext} ctx
+ */
+function getNoiseBuffer(ctx) {
+  let buffer = noiseBuffers.get(ctx);
+  if (buffer) return buffer;
+  buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  noiseBuffers.set(ctx, buffer);
+  return buffer;
+}
+
+/**
+ * Exponential sweep (or a fixed value) on an AudioParam between t0 and t1.
+ * @param {AudioParam} param
+ * @param {number} from
+ * @param {number | undefined} to
+ * @param {number} t0
+ * @param {number} t1
+ */
+function sweep(param, from, to, t0, t1) {
+  param.setValueAtTime(from, t0);
+  if (to != null && to !== from) param.exponentialRampToValueAtTime(Math.max(1, to), t1);
+}
+
+/**
+ * Play a recipe into `destination` now.
+ *
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} destination
+ * @param {SoundRecipe} recipe
+ * @param {{ volume?: number, playbackRate?: number, onEnded?: () => void }} [opts]
+ *   playbackRate: scales every pitch, filter and time like a sped-up sample
+ * @returns {{ duration: number, stop: () => void }}
+ */
+export function playRecipe(ctx, destination, recipe, opts = {}) {
+  const rate = clamp(opts.playbackRate ?? 1, 0.25, 4);
+  const t = ctx.currentTime;
+  const out = ctx.createGain();
+  out.gain.value = clamp(opts.volume ?? 1, 0, 1);
+  out.connect(destination);
+
+  /** @type {AudioScheduledSourceNode[]} */
+  const sources = [];
+  /** @type {AudioScheduledSourceNode | null} */
+  let last = null;
+  let end = t;
+
+  for (const v of recipe.voices) {
+    const t0 = t + (v.delay ?? 0) / rate;
+    const attack = Math.max(0.001, v.attack ?? 0.005) / rate;
+    const hold = Math.max(0, v.hold ?? 0) / rate;
+    const release = Math.max(0.005, v.release ?? 0.1) / rate;
+    const t1 = t0 + attack + hold + release;
+
+    /** @type {AudioScheduledSourceNode} */
+    let src;
+    if (v.type === 'noise') {
+      const noise = ctx.createBufferSource();
+      noise.buffer = getNoiseBuffer(ctx);
+      noise.loop = true;
+      src = noise;
+    } else {
+      const osc = ctx.createOscillator();
+      osc.type = v.type ?? 'sine';
+      sweep(osc.frequency, (v.freq ?? 440) * rate, v.freqEnd != null ? v.freqEnd * rate : undefined, t0, t1);
+      src = osc;
+    }
+
+    const env = ctx.createGain();
+    const peak = clamp(v.gain ?? 0.5, 0, 1);
+    env.gain.setValueAtTime(0, t0);
+    env.gain.linearRampToValueAtTime(peak, t0 + attack);
+    env.gain.setValueAtTime(peak, t0 + attack + hold);
+    // Exponential ramps can't reach 0; end just above it and stop the source right after.
+    env.gain.exponentialRampToValueAtTime(0.0001, t1);
+
+    let node = /** @type {AudioNode} */ (src);
+    if (v.filter) {
+      const f = ctx.createBiquadFilter();
+      f.type = v.filter.type;
+      f.Q.value = v.filter.q ?? 0.7;
+      sweep(f.frequency, v.filter.freq * rate, v.filter.freqEnd != null ? v.filter.freqEnd * rate : undefined, t0, t1);
+      node.connect(f);
+      node = f;
+    }
+    node.connect(env);
+    env.connect(out);
+
+    src.start(t0);
+    src.stop(t1 + 0.02);
+    sources.push(src);
+    if (t1 >= end) {
+      end = t1;
+      last = src;
+    }
+  }
+
+  const done = () => {
+    out.disconnect();
+    opts.onEnded?.();
+  };
+  if (last) last.onended = done;
+  else done();
+
+  return {
+    duration: end - t,
+    stop() {
+      for (const src of sources) {
+        try {
+          src.stop();
+        } catch {
+          // ignore (already stopped)
+        }
+      }
+    },
+  };
+}
+
+/**
+ * A continuous tone for looping sources (spatial hums). Voices are summed, optionally
+ * filtered, and optionally tremoloed by a slow LFO.
+ * @typedef {{
+ *  voices: { type?: OscillatorType | 'noise', freq?: number, detune?: number, gain?: number }[],
+ *  filter?: { type: BiquadFilterType, freq: number, q?: number },
+ *  lfo?: { rate: number, depth: number },
+ * }} DroneRecipe
+ *   lfo.depth: fraction of the level the tremolo takes away at its trough (0..1)
+ */
+
+/**
+ * Named drones for `createSpatialLoop({ drone })`.
+ * @type {Record<string, DroneRecipe>}
+ */
+export const DRONE_RECIPES = {
+  // Warm low hum with a slow swell.
+  'sun:hum': {
+    voices: [
+      { type: 'sawtooth', freq: 55, gain: 0.35 },
+      { type: 'sawtooth', freq: 55, detune: 9, gain: 0.3 },
+      { type: 'sine', freq: 110, gain: 0.25 },
+    ],
+    filter: { type: 'lowpass', freq: 420, q: 0.8 },
+    lfo: { rate: 0.18, depth: 0.35 },
+  },
+  // Deep rumble plus filtered noise hiss for the accretion disk.
+  'blackHole:hum': {
+    voices: [
+      { type: 'sine', freq: 36, gain: 0.55 },
+      { type: 'triangle', freq: 72.5, gain: 0.2 },
+      { type: 'noise', gain: 0.12 },
+    ],
+    filter: { type: 'lowpass', freq: 900, q: 0.5 },
+    lfo: { rate: 0.07, depth: 0.4 },
+  },
+};
+
+/**
+ * Start a drone into `destination`. It fades in and runs until `stop()`.
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} destination
+ * @param {DroneRecipe} recipe
+ * @param {{ fadeS?: number }} [opts]
+ * @returns {{ stop: (fadeS?: number) => void }}
+ */
+export function startDrone(ctx, destination, recipe, opts = {}) {
+  const t = ctx.currentTime;
+  const out = ctx.createGain();
+  out.gain.setValueAtTime(0, t);
+  out.gain.linearRampToValueAtTime(1, t + Math.max(0.01, opts.fadeS ?? 1));
+  out.connect(destination);
+  /** @type {AudioScheduledSourceNode[]} */
+  const sources = [];
+
+  let bus = /** @type {AudioNode} */ (out);
+  if (recipe.lfo) {
+    // Tremolo: level = 1 - depth/2 +/- depth/2.
+    const depth = clamp(recipe.lfo.depth, 0, 1);
+    const trem = ctx.createGain();
+    trem.gain.value = 1 - depth / 2;
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = recipe.lfo.rate;
+    const lfoGain = ctx.createGain();
+    lfoGain.gain.value = depth / 2;
+    lfo.connect(lfoGain);
+    lfoGain.connect(trem.gain);
+    trem.connect(bus);
+    bus = trem;
+    lfo.start(t);
+    sources.push(lfo);
+  }
+  if (recipe.filter) {
+    const f = ctx.createBiquadFilter();
+    f.type = recipe.filter.type;
+    f.frequency.value = recipe.filter.freq;
+    f.Q.value = recipe.filter.q ?? 0.7;
+    f.connect(bus);
+    bus = f;
+  }
+
+  for (const v of recipe.voices) {
+    /** @type {AudioScheduledSourceNode} */
+    let src;
+    if (v.type === 'noise') {
+      const noise = ctx.createBufferSource();
+      noise.buffer = getNoiseBuffer(ctx);
+      noise.loop = true;
+      src = noise;
+    } else {
+      const osc = ctx.createOscillator();
+      osc.type = v.type ?? 'sine';
+      osc.frequency.value = v.freq ?? 110;
+      osc.detune.value = v.detune ?? 0;
+      src = osc;
+    }
+    const g = ctx.createGain();
+    g.gain.value = clamp(v.gain ?? 0.5, 0, 1);
+    src.connect(g);
+    g.connect(bus);
+    src.start(t);
+    sources.push(src);
+  }
+
+  let stopped = false;
+  return {
+    stop(fadeS = 0.5) {
+      if (stopped) return;
+      stopped = true;
+      const now = ctx.currentTime;
+      const end = now + Math.max(0.01, fadeS);
+      out.gain.cancelScheduledValues(now);
+      out.gain.setValueAtTime(out.gain.value, now);
+      out.gain.linearRampToValueAtTime(0, end);
+      for (const src of sources) src.stop(end + 0.02);
+      if (sources[0]) sources[0].onended = () => out.disconnect();
+    },
+  };
+}
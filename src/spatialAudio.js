@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Spatial audio anchors
+ * - A looping sound (see `SpatialLoopSpec` in soundController.js) pinned to an Object3D,
+ *   or, for full-screen shader views, to a point on screen at some distance ahead
+ * - `update(camera)` once per frame: the listener takes the camera's world pose (the
+ *   orientation `motion.applyToCamera` just set) and every anchor is re-placed
+ * - `focus` adds a level boost for what the camera faces, on top of HRTF panning, so turning
+ *   toward a source clearly brings it up
+ *
+ * @typedef {{
+ *  object?: THREE.Object3D,
+ *  screen?: { x: number, y: number, distance?: number },
+ *  focus?: number,
+ *  sound: import('./soundController.js').SpatialLoopSpec,
+ * }} AudioAnchor
+ *   object: follow this object's world position
+ *   screen: NDC (-1..1, +y up) and distance in scene units in front of the camera (default 1)
+ *   focus: 0 = same level all around; 1 = silent straight behind (default 0)
+ */
+
+/**
+ * @param {ReturnType<typeof import('./soundController.js').createSoundController>} sounds
+ */
+export function createSpatialAudio(sounds) {
+  /** @type {Set<{ anchor: AudioAnchor, loop: NonNullable<ReturnType<typeof sounds.createSpatialLoop>> }>} */
+  const entries = new Set();
+  /** @type {{ detach: () => void }[]} */
+  let viewHandles = [];
+
+  const listenerPos = new THREE.Vector3();
+  const listenerQuat = new THREE.Quaternion();
+  const forward = new THREE.Vector3();
+  const up = new THREE.Vector3();
+  const p = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+
+  /**
+   * Start an anchor's loop. It plays until `detach()`.
+   * @param {AudioAnchor} anchor
+   */
+  function attach(anchor) {
+    const loop = sounds.createSpatialLoop(anchor.sound);
+    if (!loop) return { detach() {} };
+    const entry = { anchor, loop };
+    entries.add(entry);
+    return {
+      detach() {
+        if (entries.delete(entry)) loop.dispose();
+      },
+    };
+  }
+
+  /**
+   * Swap to the anchors a view declares (`view.audioAnchors`); the previous ones fade out.
+   * @param {{ audioAnchors?: AudioAnchor[] } | null} view
+   */
+  function setView(view) {
+    for (const h of viewHandles) h.detach();
+    viewHandles = (view?.audioAnchors ?? []).map(attach);
+  }
+
+  /**
+   * @param {THREE.Camera | null} camera - null: listener at the origin looking down -Z
+   */
+  function update(camera) {
+    if (camera) {
+      camera.getWorldPosition(listenerPos);
+      camera.getWorldQuaternion(listenerQuat);
+    } else {
+      listenerPos.set(0, 0, 0);
+      listenerQuat.identity();
+    }
+    forward.set(0, 0, -1).applyQuaternion(listenerQuat);
+    up.set(0, 1, 0).applyQuaternion(listenerQuat);
+    sounds.setListener(listenerPos, forward, up);
+
+    const cam = /** @type {THREE.PerspectiveCamera | null} */ (camera);
+    const tanY = cam?.isPerspectiveCamera ? Math.tan(THREE.MathUtils.degToRad(cam.fov / 2)) : 1;
+    const tanX = tanY * (cam?.isPerspectiveCamera ? cam.aspect : 1);
+
+    for (const { anchor, loop } of entries) {
+      if (anchor.object) {
+        anchor.object.getWorldPosition(p);
+      } else if (anchor.screen) {
+        // Camera space ray through the screen point, then into the world.
+        p.set(anchor.screen.x * tanX, anchor.screen.y * tanY, -1)
+          .normalize()
+          .multiplyScalar(anchor.screen.distance ?? 1)
+          .applyQuaternion(listenerQuat)
+          .add(listenerPos);
+      } else {
+        continue;
+      }
+      loop.setPosition(p.x, p.y, p.z);
+
+      const focus = clamp(anchor.focus ?? 0, 0, 1);
+      if (focus > 0) {
+        const facing = (dir.subVectors(p, listenerPos).normalize().dot(forward) + 1) / 2;
+        loop.setLevel(1 - focus * (1 - facing * facing));
+      }
+    }
+  }
+
+  function dispose() {
+    viewHandles = [];
+    for (const { loop } of entries) loop.dispose();
+    entries.clear();
+  }
+
+  return { attach, setView, update, dispose };
+}
@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { createDisplayRenderTarget, renderView } from './renderer.js';
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/** Eye separation (interpupillary distance) range in mm; covers most adults. */
+export const EYE_SEPARATION_RANGE_MM = /** @type {const} */ ([50, 80]);
+
+// Cardboard v1 lens (radius in units of half the eye height).
+const LENS_K1 = 0.22;
+const LENS_K2 = 0.24;
+
+/**
+ * Rough CSS px per millimetre. Browsers don't report physical size; phones sit around
+ * 160 CSS px per inch, desktops at the CSS reference of 96.
+ */
+function cssPxPerMm() {
+  const coarse = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+  return (coarse ? 160 : 96) / 25.4;
+}
+
+/**
+ * What a view gets when it draws one eye (third argument of `render(tMs, target, eye)`).
+ * @typedef {{
+ *  index: 0 | 1,
+ *  camera: THREE.Camera | null,
+ *  centerOffset: number,
+ * }} StereoEye
+ *   index: 0 = left, 1 = right
+ *   camera: per-eye camera derived from the view's camera (null for views without one)
+ *   centerOffset: horizontal shift of the image center, in pixels of the eye target (+ = right),
+ *     so full-screen shader views line their center up with the lens
+ */
+
+/**
+ * Side-by-side stereo (cardboard-style viewers)
+ * - Each eye is drawn into its own half-width target, then both are composited
+ *   to the output, optionally with barrel distortion to cancel the lens pincushion
+ * - Scene/camera views: `THREE.StereoCamera` eye cameras (scene units taken as metres)
+ * - Full-screen shader views: the image center is shifted per eye to sit under each lens
+ *
+ * The view must already be laid out for one eye (`resize(w / 2, h, dpr)`).
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {{ eyeSeparationMm?: number, distortion?: boolean }} [opts]
+ */
+export function createStereoRenderer(renderer, opts = {}) {
+  let eyeSeparationMm = clamp(opts.eyeSeparationMm ?? 64, ...EYE_SEPARATION_RANGE_MM);
+  let distortion = opts.distortion ?? true;
+
+  const stereoCamera = new THREE.StereoCamera();
+  const size = new THREE.Vector2();
+  /** @type {[THREE.WebGLRenderTarget | null, THREE.WebGLRenderTarget | null]} */
+  const eyeTargets = [null, null];
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      tLeft: { value: null },
+      tRight: { value: null },
+      u_lensOffset: { value: 0 },
+      u_eyeAspect: { value: 1 },
+      u_distort: { value: 1 },
+      u_k: { value: new THREE.Vector2(LENS_K1, LENS_K2) },
+    },
+    depthTest: false,
+    depthWrite: false,
+
+    vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+
+    // Eye targets already hold display-ready pixels (see createDisplayRenderTarget).
+    fragmentShader: `
+    precision highp float;
+
+    uniform sampler2D tLeft;
+    uniform sampler2D tRight;
+    uniform float u_lensOffset;
+    uniform float u_eyeAspect;
+    uniform float u_distort;
+    uniform vec2 u_k;
+
+    varying vec2 vUv;
+
+    void main() {
+      float right = step(0.5, vUv.x);
+      vec2 uv = vec2(vUv.x * 2.0 - right, vUv.y);
+      // Lens centers sit toward the nose by the same amount on both sides.
+      vec2 c = vec2(0.5 + mix(u_lensOffset, -u_lensOffset, right), 0.5);
+
+      if (u_distort > 0.5) {
+        vec2 d = (uv - c) * vec2(u_eyeAspect, 1.0) * 2.0;
+        float r2 = dot(d, d);
+        uv = c + (uv - c) * (1.0 + u_k.x * r2 + u_k.y * r2 * r2);
+      }
+
+      if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+      }
+      vec3 col = right > 0.5 ? texture2D(tRight, uv).rgb : texture2D(tLeft, uv).rgb;
+      gl_FragColor = vec4(col, 1.0);
+    }
+  `,
+  });
+
+  const postScene = new THREE.Scene();
+  const postCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  postScene.add(quad);
+
+  /**
+   * @param {number} w - eye width (device px)
+   * @param {number} h
+   */
+  function ensureEyeTargets(w, h) {
+    for (let i = 0; i < 2; i++) {
+      const t = eyeTargets[i];
+      if (!t) eyeTargets[i] = createDisplayRenderTarget(w, h);
+      else if (t.width !== w || t.height !== h) t.setSize(w, h);
+    }
+  }
+
+  /**
+   * Lens center offset as a fraction of the eye width (+ = toward the nose for the left eye).
+   */
+  function lensOffset() {
+    const halfW = Math.max(1, window.innerWidth / 2);
+    const ipdPx = eyeSeparationMm * cssPxPerMm();
+    return clamp((halfW / 2 - ipdPx / 2) / halfW, -0.25, 0.25);
+  }
+
+  /**
+   * Draw `view` once per eye into the eye targets, sized for `target` (null = canvas).
+   * Throws what the view throws.
+   * @param {any} view
+   * @param {number} tMs
+   * @param {THREE.WebGLRenderTarget | null} [target]
+   */
+  function drawEyes(view, tMs, target = null) {
+    if (target) size.set(target.width, target.height);
+    else renderer.getDrawingBufferSize(size);
+    const eyeW = Math.max(1, Math.floor(size.x / 2));
+    const eyeH = Math.max(1, size.y);
+    ensureEyeTargets(eyeW, eyeH);
+
+    const camera = view.camera ?? null;
+    if (camera) {
+      camera.updateMatrixWorld();
+      stereoCamera.eyeSep = eyeSeparationMm / 1000;
+      stereoCamera.update(camera);
+    }
+
+    const offset = lensOffset();
+    for (let i = 0; i < 2; i++) {
+      /** @type {StereoEye} */
+      const eye = {
+        index: /** @type {0 | 1} */ (i),
+        camera: camera ? (i === 0 ? stereoCamera.cameraL : stereoCamera.cameraR) : null,
+        centerOffset: (i === 0 ? offset : -offset) * eyeW,
+      };
+      renderView(renderer, view, tMs, eyeTargets[i], eye);
+    }
+    material.uniforms.u_lensOffset.value = offset;
+    material.uniforms.u_eyeAspect.value = eyeW / eyeH;
+  }
+
+  /**
+   * Side-by-side composite of the last `drawEyes()` into `target` (null = canvas).
+   * Throws if the post shader fails; the eyes are the view's business, this pass is ours.
+   * @param {THREE.WebGLRenderTarget | null} [target]
+   */
+  function composite(target = null) {
+    material.uniforms.tLeft.value = eyeTargets[0]?.texture ?? null;
+    material.uniforms.tRight.value = eyeTargets[1]?.texture ?? null;
+    material.uniforms.u_distort.value = distortion ? 1 : 0;
+
+    renderer.resetState();
+    renderer.setRenderTarget(target);
+    renderer.render(postScene, postCamera);
+    if (target) renderer.setRenderTarget(null);
+  }
+
+  /**
+   * Draw `view` once per eye and composite side by side into `target` (null = canvas).
+   * @param {any} view
+   * @param {number} tMs
+   * @param {THREE.WebGLRenderTarget | null} [target]
+   */
+  function render(view, tMs, target = null) {
+    drawEyes(view, tMs, target);
+    composite(target);
+  }
+
+  /**
+   * @param {number} mm - interpupillary distance
+   */
+  function setEyeSeparation(mm) {
+    eyeSeparationMm = clamp(mm, ...EYE_SEPARATION_RANGE_MM);
+  }
+
+  /**
+   * @param {boolean} v - barrel pre-distortion for viewer lenses
+   */
+  function setDistortion(v) {
+    distortion = !!v;
+  }
+
+  /** Free the eye targets (e.g. when leaving stereo); they are recreated on demand. */
+  function releaseTargets() {
+    for (let i = 0; i < 2; i++) {
+      eyeTargets[i]?.dispose();
+      eyeTargets[i] = null;
+    }
+  }
+
+  function dispose() {
+    releaseTargets();
+    quad.geometry.dispose();
+    material.dispose();
+  }
+
+  return {
+    render,
+    drawEyes,
+    composite,
+    setEyeSeparation,
+    setDistortion,
+    releaseTargets,
+    dispose,
+    get eyeSeparationMm() {
+      return eyeSeparationMm;
+    },
+    get distortion() {
+      return distortion;
+    },
+  };
+}
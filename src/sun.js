@@ -79,7 +79,10 @@ function createStarburstTexture(size = 256) {
  * @param {{
  *  position: THREE.Vector3,
  *  radius?: number,
+ *  onEnterView?: () => void,
  * }} opts
+ *   onEnterView: called when the sun comes into view (not on the first frame, so a view that
+ *     opens facing the sun doesn't fire it)
  */
 export function createSunRig(opts) {
   const position = opts.position;
@@ -171,6 +174,11 @@ export function createSunRig(opts) {
   const camPos = new THREE.Vector3();
   const camDir = new THREE.Vector3();
   const toSun = new THREE.Vector3();
+  // Halo swell from outside (audio-reactive views), 0..2.
+  let extraPulse = 0;
+  // In-view state with hysteresis so a sun on the edge doesn't fire `onEnterView` every frame.
+  /** @type {boolean | null} */
+  let inView = null;
 
   /**
    * @param {number} dt
@@ -191,14 +199,19 @@ export function createSunRig(opts) {
     const center = clamp(1.0 - Math.sqrt(tmpNdc.x * tmpNdc.x + tmpNdc.y * tmpNdc.y), 0, 1);
     const vis = (inScreen ? 1 : 0) * facing * (0.35 + 0.65 * center);
 
+    const nowInView = inView ? vis > 0.15 : vis > 0.35;
+    if (nowInView && inView === false) opts.onEnterView?.();
+    inView = nowInView;
+
     const pulse = 0.85 + 0.15 * Math.sin(t * 0.7);
     const v = vis * pulse;
 
     halo.material.opacity = 0.15 + 0.75 * v;
     burst.material.opacity = 0.08 + 0.65 * v;
     burst.material.rotation = t * 0.15;
-    halo.scale.setScalar(radius * (12 + 7 * v));
-    burst.scale.setScalar(radius * (18 + 10 * v));
+    const swell = 1 + 0.3 * extraPulse;
+    halo.scale.setScalar(radius * (12 + 7 * v) * swell);
+    burst.scale.setScalar(radius * (18 + 10 * v) * swell);
 
     light.intensity = 0.35 + 2.15 * v;
 
@@ -208,6 +221,13 @@ export function createSunRig(opts) {
     }
   }
 
-  return { object: group, update };
+  /**
+   * @param {number} v - halo swell (0 = none, e.g. the music's bass)
+   */
+  function setPulse(v) {
+    extraPulse = clamp(v, 0, 2);
+  }
+
+  return { object: group, update, setPulse };
 }
 
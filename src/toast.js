@@ -0,0 +1,41 @@
+/**
+ * HUD toast
+ * - One short line under the scene label; a new message replaces the current one
+ * - Lives in the HUD, so it hides with it (F8 / long-press) and in stereo
+ *
+ * @param {HTMLElement} container
+ */
+export function createToast(container) {
+  const node = document.createElement('div');
+  node.id = 'toast';
+  node.setAttribute('role', 'status');
+  container.append(node);
+
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let hideTimer = null;
+
+  /**
+   * @param {string} text
+   * @param {{ level?: 'info' | 'warning', durationMs?: number }} [opts]
+   */
+  function show(text, opts = {}) {
+    node.textContent = text;
+    node.classList.toggle('warning', opts.level === 'warning');
+    node.classList.add('visible');
+    if (hideTimer != null) clearTimeout(hideTimer);
+    hideTimer = setTimeout(hide, opts.durationMs ?? 2200);
+  }
+
+  function hide() {
+    if (hideTimer != null) clearTimeout(hideTimer);
+    hideTimer = null;
+    node.classList.remove('visible');
+  }
+
+  function dispose() {
+    hide();
+    node.remove();
+  }
+
+  return { show, hide, dispose };
+}
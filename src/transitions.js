@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+import { createDisplayRenderTarget } from './renderer.js';
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Available effects (index = shader `u_effect`).
+ * - crossfade: plain opacity blend
+ * - warp: outgoing view rushes past (zoom + radial streaks), incoming settles in
+ * - radial: outgoing view spirals into a growing black disc, incoming opens from the center
+ */
+export const TRANSITION_EFFECTS = ['crossfade', 'warp', 'radial'];
+
+const DEFAULT_DURATION_MS = 700;
+// Reduced motion: a short, motion-free fade only.
+const REDUCED_MOTION_DURATION_MS = 200;
+
+/**
+ * View transitions
+ * - Renders the outgoing and incoming views into offscreen targets
+ * - Blends them to the canvas with a selectable effect
+ *
+ * Works with any view that `renderView()` can draw: scene/camera views and views
+ * with a custom `render(tMs, target)` (including raw-GL ones like Black Hole 2).
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {{ durationMs?: number, effect?: string }} [opts]
+ */
+export function createViewTransitions(renderer, opts = {}) {
+  let durationMs = Math.max(0, opts.durationMs ?? DEFAULT_DURATION_MS);
+  let enabled = true;
+  let defaultEffect = TRANSITION_EFFECTS.includes(opts.effect ?? '') ? opts.effect : null;
+
+  const reducedMotionQuery =
+    typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+
+  const size = new THREE.Vector2();
+  /** @type {THREE.WebGLRenderTarget | null} */
+  let fromTarget = null;
+  /** @type {THREE.WebGLRenderTarget | null} */
+  let toTarget = null;
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      tFrom: { value: null },
+      tTo: { value: null },
+      u_progress: { value: 0 },
+      u_effect: { value: 0 },
+      u_resolution: { value: new THREE.Vector2(1, 1) },
+    },
+    depthTest: false,
+    depthWrite: false,
+
+    vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+
+    // Targets already hold display-ready (tone-mapped, sRGB) pixels; output them as-is.
+    fragmentShader: `
+    precision highp float;
+
+    uniform sampler2D tFrom;
+    uniform sampler2D tTo;
+    uniform float u_progress;
+    uniform int u_effect;
+    uniform vec2 u_resolution;
+
+    varying vec2 vUv;
+
+    vec2 aspectScale() {
+      return vec2(u_resolution.x / max(1.0, u_resolution.y), 1.0);
+    }
+
+    vec3 crossfade(float p) {
+      return mix(texture2D(tFrom, vUv).rgb, texture2D(tTo, vUv).rgb, p);
+    }
+
+    vec3 warp(float p) {
+      vec2 c = vUv - 0.5;
+
+      // Outgoing: zoom toward the viewer with a short radial blur.
+      float zf = 1.0 / (1.0 + 3.0 * p * p);
+      vec3 a = vec3(0.0);
+      for (int i = 0; i < 6; i++) {
+        float k = float(i) / 6.0;
+        a += texture2D(tFrom, 0.5 + c * zf * (1.0 - 0.12 * p * k)).rgb;
+      }
+      a /= 6.0;
+
+      // Incoming: settles from a slight zoom-out.
+      float zt = 1.0 + 0.25 * (1.0 - p);
+      vec3 b = texture2D(tTo, 0.5 + c * zt).rgb;
+
+      float fx = (p - 0.5) * 7.0;
+      float flash = exp(-fx * fx) * 0.35;
+      return mix(a, b, smoothstep(0.35, 0.75, p)) + flash;
+    }
+
+    vec3 radial(float p) {
+      vec2 s = aspectScale();
+      vec2 c = (vUv - 0.5) * s;
+      float r = length(c);
+      float maxR = length(0.5 * s) + 0.05;
+
+      // Phase 1: outgoing image spirals inward while a black disc grows over it.
+      float collapse = smoothstep(0.0, 0.55, p);
+      float ang = collapse * 3.5 / (r * 6.0 + 0.6);
+      float cs = cos(ang), sn = sin(ang);
+      vec2 q = mat2(cs, -sn, sn, cs) * c * (1.0 + 1.5 * collapse);
+      vec3 a = texture2D(tFrom, q / s + 0.5).rgb;
+      float holeR = collapse * maxR;
+      a *= smoothstep(holeR, holeR + 0.04, r);
+
+      // Phase 2: incoming view opens from the center.
+      float reveal = smoothstep(0.45, 1.0, p);
+      float openR = reveal * maxR;
+      float inside = 1.0 - smoothstep(openR - 0.04, openR, r);
+      vec3 b = texture2D(tTo, vUv).rgb;
+
+      return mix(a, b, inside * step(0.001, reveal));
+    }
+
+    void main() {
+      float p = clamp(u_progress, 0.0, 1.0);
+      vec3 col;
+      if (u_effect == 1) col = warp(p);
+      else if (u_effect == 2) col = radial(p);
+      else col = crossfade(p);
+      gl_FragColor = vec4(col, 1.0);
+    }
+  `,
+  });
+
+  const postScene = new THREE.Scene();
+  const postCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  postScene.add(quad);
+
+  /** @type {any} */
+  let fromView = null;
+  let effectIdx = 0;
+  let duration = durationMs;
+  /** @type {number | null} */
+  let startMs = null;
+
+  function prefersReducedMotion() {
+    return !!reducedMotionQuery?.matches;
+  }
+
+  function ensureTargets() {
+    renderer.getDrawingBufferSize(size);
+    const w = Math.max(1, size.x);
+    const h = Math.max(1, size.y);
+    if (!fromTarget) fromTarget = createDisplayRenderTarget(w, h);
+    if (!toTarget) toTarget = createDisplayRenderTarget(w, h);
+    if (fromTarget.width !== w || fromTarget.height !== h) fromTarget.setSize(w, h);
+    if (toTarget.width !== w || toTarget.height !== h) toTarget.setSize(w, h);
+    material.uniforms.u_resolution.value.set(w, h);
+  }
+
+  /**
+   * Begin a transition away from `view` (the caller has already switched the active view).
+   * @param {any} view - outgoing view
+   * @param {string} [effect] - preferred effect (e.g. the incoming view's `transitionIn`)
+   */
+  function start(view, effect) {
+    if (!view || !enabled || durationMs <= 0) {
+      fromView = null;
+      return;
+    }
+
+    const reduced = prefersReducedMotion();
+    const name = reduced ? 'crossfade' : defaultEffect ?? effect ?? 'crossfade';
+    effectIdx = Math.max(0, TRANSITION_EFFECTS.indexOf(name));
+    duration = reduced ? Math.min(durationMs, REDUCED_MOTION_DURATION_MS) : durationMs;
+
+    fromView = view;
+    // Clock starts on the first rendered frame, so a slow lazy view build doesn't eat the animation.
+    startMs = null;
+  }
+
+  function cancel() {
+    fromView = null;
+    startMs = null;
+  }
+
+  /**
+   * Render one blended frame to the canvas.
+   * @param {number} nowMs
+   * @param {(target: THREE.WebGLRenderTarget) => void} drawFrom
+   * @param {(target: THREE.WebGLRenderTarget) => void} drawTo
+   * @returns {boolean} true when the transition finished on this frame
+   */
+  function render(nowMs, drawFrom, drawTo) {
+    if (!fromView) return true;
+    if (startMs == null) startMs = nowMs;
+
+    const linear = duration > 0 ? clamp((nowMs - startMs) / duration, 0, 1) : 1;
+    const eased = linear * linear * (3 - 2 * linear);
+
+    ensureTargets();
+    drawFrom(/** @type {THREE.WebGLRenderTarget} */ (fromTarget));
+    drawTo(/** @type {THREE.WebGLRenderTarget} */ (toTarget));
+
+    material.uniforms.tFrom.value = fromTarget?.texture ?? null;
+    material.uniforms.tTo.value = toTarget?.texture ?? null;
+    material.uniforms.u_progress.value = eased;
+    material.uniforms.u_effect.value = effectIdx;
+
+    renderer.resetState();
+    renderer.setRenderTarget(null);
+    renderer.render(postScene, postCamera);
+
+    if (linear >= 1) {
+      cancel();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string | null} name - force one effect for every transition (null = per view)
+   */
+  function setEffect(name) {
+    defaultEffect = name && TRANSITION_EFFECTS.includes(name) ? name : null;
+  }
+
+  /**
+   * @param {number} ms - 0 disables transitions
+   */
+  function setDuration(ms) {
+    durationMs = Math.max(0, ms);
+  }
+
+  /**
+   * @param {boolean} v - false switches views instantly
+   */
+  function setEnabled(v) {
+    enabled = !!v;
+    if (!enabled) cancel();
+  }
+
+  function dispose() {
+    cancel();
+    fromTarget?.dispose();
+    toTarget?.dispose();
+    fromTarget = null;
+    toTarget = null;
+    quad.geometry.dispose();
+    material.dispose();
+  }
+
+  return {
+    start,
+    cancel,
+    render,
+    setEffect,
+    setDuration,
+    setEnabled,
+    dispose,
+    get active() {
+      return !!fromView;
+    },
+    get fromView() {
+      return fromView;
+    },
+    get effect() {
+      return defaultEffect;
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * View registry
+ * - Gives every view a stable id (used in URLs: `#/black-hole-2`)
+ * - Keeps the Prev/Next order in one place
+ * - Builds views lazily on first visit (`create()`)
+ * - Releases least-recently-used views (`view.dispose()`) once the estimated
+ *   GPU/CPU footprint of live views exceeds the memory budget
+ *
+ * A released view keeps its URL state (`getUrlState()`), which is re-applied
+ * when it is rebuilt, so coming back to it feels continuous.
+ *
+ * @typedef {{
+ *  id: string,
+ *  create: () => any,
+ *  costMB?: number,
+ * }} ViewEntry
+ *
+ * @typedef {{
+ *  budgetMB?: number,
+ *  onCreate?: (id: string, view: any) => void,
+ * }} ViewRegistryOptions
+ */
+
+// Used when an entry doesn't declare its footprint.
+const DEFAULT_COST_MB = 16;
+
+/**
+ * @param {ViewEntry[]} entries
+ * @param {ViewRegistryOptions} [opts]
+ */
+export function createViewRegistry(entries, opts = {}) {
+  const ids = entries.map((e) => e.id);
+
+  const seen = new Set();
+  for (const id of ids) {
+    if (seen.has(id)) throw new Error(`Duplicate view id: ${id}`);
+    seen.add(id);
+  }
+
+  const budgetMB = Math.max(0, opts.budgetMB ?? Infinity);
+
+  /** @type {{entry: ViewEntry, view: any, lastUsed: number, savedState: Record<string, string> | null}[]} */
+  const slots = entries.map((entry) => ({ entry, view: null, lastUsed: 0, savedState: null }));
+  let useCounter = 0;
+
+  /**
+   * Wraps any integer into [0, size).
+   * @param {number} idx
+   */
+  function wrap(idx) {
+    const n = entries.length;
+    return ((idx % n) + n) % n;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {number} index, or -1 if unknown
+   */
+  function indexOf(id) {
+    return ids.indexOf(id);
+  }
+
+  /**
+   * @param {number} idx
+   */
+  function idAt(idx) {
+    return ids[wrap(idx)];
+  }
+
+  /**
+   * Returns the view at `idx`, building it on first use.
+   * @param {number} idx
+   */
+  function get(idx) {
+    const slot = slots[wrap(idx)];
+    if (!slot.view) {
+      slot.view = slot.entry.create();
+      opts.onCreate?.(slot.entry.id, slot.view);
+      // Restored state wins over defaults applied in onCreate.
+      if (slot.savedState) slot.view.applyUrlState?.(slot.savedState);
+      slot.savedState = null;
+    }
+    slot.lastUsed = ++useCounter;
+    return slot.view;
+  }
+
+  /**
+   * Returns the view at `idx` only if it is currently built.
+   * @param {number} idx
+   */
+  function peek(idx) {
+    return slots[wrap(idx)].view;
+  }
+
+  /**
+   * Dispose the view at `idx` (if built). It will be rebuilt on next `get()`.
+   * @param {number} idx
+   * @param {{ discardState?: boolean }} [releaseOpts] - discardState: rebuild from defaults
+   */
+  function release(idx, releaseOpts = {}) {
+    const slot = slots[wrap(idx)];
+    const view = slot.view;
+    if (!view) {
+      if (releaseOpts.discardState) slot.savedState = null;
+      return;
+    }
+
+    const state = releaseOpts.discardState ? null : view.getUrlState?.();
+    slot.savedState = state
+      ? Object.fromEntries(Object.entries(state).map(([k, v]) => [k, String(v)]))
+      : null;
+
+    slot.view = null;
+    view.setActive?.(false);
+    view.dispose?.();
+  }
+
+  /**
+   * Swap the built view at `idx` for another object (e.g. an error card).
+   * The old view is disposed best-effort; it may be the thing that is broken.
+   * @param {number} idx
+   * @param {any} view
+   */
+  function replace(idx, view) {
+    const slot = slots[wrap(idx)];
+    const old = slot.view;
+    slot.view = view;
+    slot.lastUsed = ++useCounter;
+    if (!old || old === view) return;
+    try {
+      old.setActive?.(false);
+      old.dispose?.();
+    } catch {
+      // ignore
+    }
+  }
+
+  function liveMB() {
+    let total = 0;
+    for (const slot of slots) {
+      if (slot.view) total += slot.entry.costMB ?? DEFAULT_COST_MB;
+    }
+    return total;
+  }
+
+  /**
+   * Release least-recently-used views until live views fit the budget.
+   * The view at `keepIdx` (normally the active one) is never released.
+   * @param {number} keepIdx
+   */
+  function enforceBudget(keepIdx) {
+    const keep = wrap(keepIdx);
+    while (liveMB() > budgetMB) {
+      let victim = -1;
+      for (let i = 0; i < slots.length; i++) {
+        if (i === keep || !slots[i].view) continue;
+        if (victim < 0 || slots[i].lastUsed < slots[victim].lastUsed) victim = i;
+      }
+      if (victim < 0) return;
+      release(victim);
+    }
+  }
+
+  return {
+    ids,
+    get size() {
+      return entries.length;
+    },
+    get budgetMB() {
+      return budgetMB;
+    },
+    wrap,
+    indexOf,
+    idAt,
+    get,
+    peek,
+    release,
+    replace,
+    enforceBudget,
+  };
+}
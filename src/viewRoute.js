@@ -0,0 +1,114 @@
+/**
+ * URL <-> view routing
+ *
+ * Routes live in the hash so the app works from any static host:
+ *   #/black-hole-2?rs=140&ring=1.8
+ *
+ * - The path segment is the view id from the registry.
+ * - The query part is the view's own serializable state (`view.getUrlState()`),
+ *   restored on load / back / forward via `view.applyUrlState(state)`.
+ *
+ * @typedef {{id: string, state: Record<string, string>}} ViewRoute
+ */
+
+/**
+ * @param {string} hash - e.g. `location.hash`
+ * @returns {ViewRoute | null}
+ */
+export function parseViewRoute(hash) {
+  const raw = (hash || '').replace(/^#/, '');
+  if (!raw.startsWith('/')) return null;
+
+  const qIdx = raw.indexOf('?');
+  const path = qIdx >= 0 ? raw.slice(1, qIdx) : raw.slice(1);
+  const query = qIdx >= 0 ? raw.slice(qIdx + 1) : '';
+
+  const id = decodeURIComponent(path.replace(/\/+$/, ''));
+  if (!id) return null;
+
+  /** @type {Record<string, string>} */
+  const state = {};
+  for (const [k, v] of new URLSearchParams(query)) state[k] = v;
+  return { id, state };
+}
+
+/**
+ * @param {string} id
+ * @param {Record<string, string | number | boolean> | null | undefined} [state]
+ */
+export function formatViewRoute(id, state) {
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(state || {})) {
+    if (v == null || v === '') continue;
+    qs.set(k, String(v));
+  }
+  const query = qs.toString();
+  return `#/${encodeURIComponent(id)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Compact vector encoding for URLs: `1.2,0.5,-3`
+ * @param {{x: number, y: number, z: number}} v
+ * @param {number} [digits]
+ */
+export function formatVec3(v, digits = 3) {
+  const f = (n) => String(Number(n.toFixed(digits)));
+  return `${f(v.x)},${f(v.y)},${f(v.z)}`;
+}
+
+/**
+ * @param {string | undefined} s
+ * @returns {[number, number, number] | null}
+ */
+export function parseVec3(s) {
+  if (!s) return null;
+  const parts = s.split(',').map(Number);
+  if (parts.length !== 3 || parts.some((n) => !Number.isFinite(n))) return null;
+  return /** @type {[number, number, number]} */ (parts);
+}
+
+/**
+ * Browser history binding.
+ * - `push()` for user navigation (Prev/Next), so Back returns to the previous view
+ * - `replace()` for state updates within a view (camera moves, param tweaks)
+ * - `onNavigate(route)` fires on Back/Forward and manual hash edits
+ *
+ * @param {{ onNavigate: (route: ViewRoute) => void }} opts
+ */
+export function createViewHistory(opts) {
+  let current = location.hash;
+
+  function handleLocationChange() {
+    if (location.hash === current) return;
+    current = location.hash;
+    const route = parseViewRoute(current);
+    if (route) opts.onNavigate(route);
+  }
+
+  // popstate covers Back/Forward; hashchange covers edits typed into the address bar.
+  window.addEventListener('popstate', handleLocationChange);
+  window.addEventListener('hashchange', handleLocationChange);
+
+  /**
+   * @param {'pushState' | 'replaceState'} method
+   * @param {string} id
+   * @param {Record<string, string | number | boolean>} [state]
+   */
+  function write(method, id, state) {
+    const hash = formatViewRoute(id, state);
+    if (hash === current) return;
+    current = hash;
+    try {
+      history[method](null, '', hash);
+    } catch {
+      // Some embedded webviews throw on history writes; routing is best-effort.
+    }
+  }
+
+  return {
+    /** @returns {ViewRoute | null} */
+    read: () => parseViewRoute(location.hash),
+    push: (id, state) => write('pushState', id, state),
+    replace: (id, state) => write('replaceState', id, state),
+  };
+}